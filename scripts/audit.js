@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Audit mod licenses against how the pack distributes each jar
+ * Fails when a mod is bundled or mirrored without a license or permission that allows it
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { loadPackMetadata } from './lib/builder.js';
+import { loadCurseForgePolicy, loadDownloadSources } from './lib/sources.js';
+import { loadBundlePolicy, getBundleEntry } from './lib/bundle.js';
+import { fetchModrinthProjects, getDistributionChannels, auditMod } from './lib/audit.js';
+
+// Load environment variables
+dotenv.config();
+
+const __dirname   = path.dirname(fileURLToPath(import.meta.url));
+const rootDir     = path.dirname(__dirname);
+const metadataDir = path.join(rootDir, 'metadata');
+const cacheDir    = path.join(rootDir, '.file-cache');
+
+const CLASSIFICATION_LABELS = {
+  permissive: '✅ Permissive',
+  copyleft:   '🔄 Copyleft',
+  arr:        '🔒 All rights reserved',
+  unknown:    '❔ Unknown'
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  return {
+    offline: args.includes('--offline'),
+    all: args.includes('--all'),
+    allowUnknown: args.includes('--allow-unknown')
+  };
+}
+
+/**
+ * Print the audit report
+ */
+function printReport(results, all) {
+  console.log(`📊 License classification (${results.length} mods):`);
+  for (const [classification, label] of Object.entries(CLASSIFICATION_LABELS)) {
+    console.log(`   ${label}: ${results.filter(result => result.classification === classification).length}`);
+  }
+
+  const shown = all ? results : results.filter(result => result.issues.length > 0);
+  if (shown.length === 0) {
+    return;
+  }
+
+  console.log('');
+  for (const { mod, license, source, channels, issues } of shown) {
+    const channelList = channels.map(channel => channel.channel).join(', ') || 'launcher download';
+    console.log(`   ${mod.name || mod.filename}: ${license || 'no license found'}${source ? ` (${source})` : ''} → ${channelList}`);
+    issues.forEach(issue => console.log(`      ${issue.level === 'violation' ? '❌' : '⚠️ '} ${issue.message}`));
+  }
+}
+
+/**
+ * Run the license audit
+ * Throws if any distribution violates a mod's license, or if a distributed mod's license
+ * is unknown unless allowUnknown is set
+ */
+async function audit({ offline = false, all = false, allowUnknown = false } = {}) {
+  console.log('⚖️  Auditing mod licenses...');
+
+  const packData = await loadPackMetadata(metadataDir);
+  const bundlePolicy = await loadBundlePolicy(metadataDir);
+  const curseforgePolicy = await loadCurseForgePolicy(metadataDir);
+  const sources = await loadDownloadSources(metadataDir);
+
+  const projects = await fetchModrinthProjects(packData.mods, { cacheDir, offline });
+  const channels = getDistributionChannels(packData, { bundlePolicy, curseforgePolicy, sources });
+
+  const results = packData.mods.map(mod => auditMod(mod, {
+    project: mod.modrinth ? projects.get(mod.modrinth.modId) : null,
+    bundleEntry: getBundleEntry(mod, bundlePolicy),
+    channels: channels.get(mod)
+  }));
+
+  printReport(results, all);
+
+  const violations = results.flatMap(result => result.issues.filter(issue => issue.level === 'violation'));
+  const warnings = results.flatMap(result => result.issues.filter(issue => issue.level === 'warning'));
+
+  if (violations.length > 0) {
+    console.log('\n   Add "permission" to the bundle.json entry once the author allows redistribution,');
+    console.log('   or stop bundling or mirroring the mod.');
+    throw new Error(`License audit found ${violations.length} violation(s)`);
+  }
+
+  // Jars we hand out without knowing their license, an empty project cache makes every mod one
+  const unknown = results.filter(result => result.classification === 'unknown' && result.channels.length > 0);
+  if (unknown.length > 0) {
+    console.log(`\n   ${allowUnknown ? '⚠️ ' : '❌'} ${unknown.length} distributed mods have an unknown license:`);
+    unknown.slice(0, 10).forEach(({ mod }) => console.log(`      • ${mod.name || mod.filename}`));
+    if (unknown.length > 10) {
+      console.log(`      … and ${unknown.length - 10} more`);
+    }
+
+    if (!allowUnknown) {
+      console.log('\n   Run the audit online to look them up on Modrinth, add a "license" to their bundle.json entry,');
+      console.log('   or pass --allow-unknown to accept them.');
+      throw new Error(`License audit found ${unknown.length} distributed mods with an unknown license`);
+    }
+  }
+
+  const warningCount = warnings.length + unknown.length;
+  console.log(`   ✅ License audit passed${warningCount > 0 ? ` with ${warningCount} warning(s)` : ''}\n`);
+
+  return { results, violations, warnings, unknown };
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  audit(parseArgs()).catch(error => {
+    console.error('❌ License audit failed:', error.message);
+    process.exit(1);
+  });
+}
+
+export { audit };
@@ -3,77 +3,237 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
 import {
   loadPackMetadata,
   loadPackageInfo,
+  selectClientMods,
   categorizeMods,
+  resolveCurseForgeMods,
   generateModrinthIndex,
   createMrpack,
   reportNonDownloadableMods,
-  generateOutputFilename
+  getNonDownloadableReason,
+  generateOutputFilename,
+  generateCurseForgeFilename
 } from './lib/builder.js';
+import { loadCurseForgePolicy, loadDownloadSources } from './lib/sources.js';
+import { validateModrinthIndex } from './lib/mrpack.js';
+import { getOverrideSides } from './lib/overrides.js';
+import { recordArtifact } from './lib/checksums.js';
+import { loadBundlePolicy, resolveBundledMods } from './lib/bundle.js';
+import { writeSbom } from './lib/sbom.js';
+import { createClientSizeReport, writeSizeReport, getSizeReportPath } from './lib/size.js';
+import {
+  generateCurseForgeManifest,
+  generateModList,
+  resolveUnmappedMods,
+  createCurseForgePack
+} from './lib/curseforge.js';
+import { validate } from './validate.js';
+import { audit } from './audit.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const rootDir = path.dirname(__dirname);
 const metadataDir = path.join(rootDir, 'metadata');
 const distDir = path.join(rootDir, 'dist');
 const releasesDir = path.join(rootDir, 'releases');
+const cacheDir = path.join(rootDir, '.file-cache');
+
+// Files recorded in build manifests so an artifact can be traced to its inputs
+const BUILD_INPUTS = ['package.json', 'metadata/pack.json', 'metadata/curseforge.json', 'metadata/secrets.json', 'metadata/sync.json', 'metadata/bundle.json', 'metadata/sources.json'];
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  return {
+    offline: args.includes('--offline'),
+    allowUnknown: args.includes('--allow-unknown'),
+    allowUnverified: args.includes('--allow-unverified')
+  };
+}
+
+/**
+ * Report how mods were handled in the CurseForge export
+ */
+function reportCurseForgeExport(mappedMods, bundled, reported, policy) {
+  console.log(`\n🔥 CurseForge export: ${mappedMods.length} mapped, ${bundled.length} bundled, ${reported.length} left out`);
+
+  if (reported.length === 0) {
+    return;
+  }
+
+  console.log(`   These mods are NOT in the CurseForge modpack (unmappedMods: "${policy.unmappedMods}"):\n`);
+  for (const { mod, reason } of reported) {
+    console.log(`   ❌ ${mod.name || mod.filename} (${reason})`);
+  }
+
+  console.log('\n   Add CurseForge ids under "mappings" in metadata/curseforge.json to include them.');
+}
+
+/**
+ * Validate the generated index and fail the build on spec violations
+ */
+function checkModrinthIndex(indexData) {
+  console.log('🔎 Validating modrinth.index.json...');
+  const { errors, warnings } = validateModrinthIndex(indexData);
+
+  warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+  errors.forEach(error => console.log(`   ❌ ${error}`));
+
+  if (errors.length > 0) {
+    if (errors.some(error => error.includes('missing sha1 hash'))) {
+      console.log('\n   Run "npm run sync" to record sha1 hashes in metadata/pack.json.');
+    }
+    throw new Error(`modrinth.index.json has ${errors.length} errors`);
+  }
+
+  console.log(`   ✓ Index is valid (${indexData.files.length} files)`);
+}
 
 /**
  * Main build function
+ * options.offline audits licenses from cached Modrinth projects only,
+ * options.allowUnknown lets the audit pass with unknown licenses and
+ * options.allowUnverified skips mods whose dependencies can't be checked
  */
-async function build() {
+async function build({ offline = false, allowUnknown = false, allowUnverified = false } = {}) {
   console.log('🚀 Starting modpack build...\n');
 
-  try {
-    // Ensure output directories exist
-    await fs.ensureDir(distDir);
-    await fs.ensureDir(releasesDir);
-
-    // Load metadata and package info
-    const packData = await loadPackMetadata(metadataDir);
-    const packageInfo = await loadPackageInfo(rootDir);
-
-    // Categorize mods
-    const { modrinthMods, nonDownloadableMods } = categorizeMods(packData.mods);
-
-    console.log(`📊 Mod categorization:`);
-    console.log(`   ✅ Modrinth downloadable: ${modrinthMods.length}`);
-    console.log(`   ❌ Non-downloadable: ${nonDownloadableMods.length}\n`);
-
-    // Generate Modrinth index
-    const indexData = generateModrinthIndex(modrinthMods, {
-      name: packData.name,
-      description: packData.description,
-      gameVersion: packData.gameVersion,
-      loaderType: packData.loaderType,
-      loaderVersion: packData.loaderVersion
-    });
-
-    // Create client .mrpack
-    const clientFilename = generateOutputFilename(packageInfo.name, packageInfo.version);
-    const clientOutput = path.join(releasesDir, clientFilename);
-    await createMrpack(indexData, metadataDir, clientOutput, distDir);
-
-    // Report results
-    reportNonDownloadableMods(nonDownloadableMods);
-
-    console.log(`\n✨ Build complete!`);
-    console.log(`   Client modpack: ${path.relative(process.cwd(), clientOutput)}`);
-    console.log(`\n🎯 Next steps:`);
-    console.log(`   1. Test the .mrpack file in a launcher (MultiMC, Prism, etc.)`);
-    console.log(`   2. Upload to GitHub releases or your preferred distribution method`);
-    console.log(`   3. Consider creating a server pack build (coming soon)`);
-
-  } catch (error) {
-    console.error('❌ Build failed:', error.message);
-    process.exit(1);
+  // Validate dependency graph before doing any work
+  await validate(['client'], { allowUnverified });
+
+  // Refuse to ship jars whose licenses don't allow how we distribute them
+  await audit({ offline, allowUnknown });
+
+  // Ensure output directories exist
+  await fs.ensureDir(distDir);
+  await fs.ensureDir(releasesDir);
+
+  // Load metadata and package info
+  const packData = await loadPackMetadata(metadataDir);
+  const packageInfo = await loadPackageInfo(rootDir);
+
+  if (packData.version !== packageInfo.version) {
+    console.log(`⚠️  package.json (${packageInfo.version}) and pack.json (${packData.version}) versions differ, using ${packageInfo.version}. "npm run release" keeps them in sync.\n`);
   }
+
+  // Drop disabled mods unless pack.json keeps them as optional
+  const { mods, excludedDisabledMods } = selectClientMods(packData);
+
+  // Categorize mods
+  const { modrinthMods, curseforgeMods, urlMods, nonDownloadableMods } = categorizeMods(mods);
+
+  console.log(`📊 Mod categorization:`);
+  console.log(`   ✅ Modrinth downloadable: ${modrinthMods.length}`);
+  console.log(`   🔥 CurseForge downloadable: ${curseforgeMods.length}`);
+  console.log(`   🔗 Direct URL downloadable: ${urlMods.length}`);
+  console.log(`   ❌ Non-downloadable: ${nonDownloadableMods.length}`);
+  console.log(`   ⏸️  Disabled (excluded): ${excludedDisabledMods.length}\n`);
+
+  // Decide how CurseForge mods are distributed
+  const curseforgePolicy = await loadCurseForgePolicy(metadataDir);
+  const { cdnMods, excludedMods } = resolveCurseForgeMods(curseforgeMods, curseforgePolicy);
+
+  // Bundle allowlisted jars for mods the launcher can't download
+  const bundlePolicy = await loadBundlePolicy(metadataDir);
+  const { bundled: bundledMods, excluded: notBundledMods } = await resolveBundledMods([
+    ...nonDownloadableMods.map(mod => ({ mod, reason: getNonDownloadableReason(mod) })),
+    ...excludedMods.map(({ mod, reason }) => ({ mod, reason: `CurseForge: ${reason}` }))
+  ], bundlePolicy, { cacheDir, instancePath: process.env.MINECRAFT_INSTANCE_PATH });
+
+  if (bundledMods.length > 0) {
+    console.log(`📦 Bundling ${bundledMods.length} allowlisted mods into overrides/mods\n`);
+  }
+
+  // Generate Modrinth index
+  const sources = await loadDownloadSources(metadataDir);
+  const indexData = generateModrinthIndex([...modrinthMods, ...urlMods, ...cdnMods], {
+    name: packData.name,
+    version: packageInfo.version,
+    description: packData.description,
+    gameVersion: packData.gameVersion,
+    loaderType: packData.loaderType,
+    loaderVersion: packData.loaderVersion,
+    optionalMods: packData.optionalMods
+  }, sources);
+  checkModrinthIndex(indexData);
+
+  // Create client .mrpack
+  const clientFilename = generateOutputFilename(packageInfo.name, packageInfo.version);
+  const clientOutput = path.join(releasesDir, clientFilename);
+  const overrideSides = getOverrideSides(packData);
+  const clientEntries = await createMrpack(indexData, metadataDir, clientOutput, distDir, overrideSides, bundledMods);
+  const clientChecksums = await recordArtifact(clientOutput, clientEntries, { rootDir, inputs: BUILD_INPUTS });
+
+  // Create CurseForge export from the same metadata
+  const { manifest, mappedMods, unmappedMods } = generateCurseForgeManifest(mods, {
+    name: packData.name,
+    version: packageInfo.version,
+    author: packData.author,
+    gameVersion: packData.gameVersion,
+    loaderType: packData.loaderType,
+    loaderVersion: packData.loaderVersion,
+    optionalMods: packData.optionalMods
+  }, curseforgePolicy);
+
+  const { bundled, reported } = await resolveUnmappedMods(unmappedMods, curseforgePolicy, bundlePolicy, {
+    cacheDir,
+    instancePath: process.env.MINECRAFT_INSTANCE_PATH
+  });
+
+  const curseforgeFilename = generateCurseForgeFilename(packageInfo.name, packageInfo.version);
+  const curseforgeOutput = path.join(releasesDir, curseforgeFilename);
+  const curseforgeEntries = await createCurseForgePack({ manifest, modlist: generateModList(mappedMods), bundled }, metadataDir, curseforgeOutput, distDir, overrideSides);
+  const curseforgeChecksums = await recordArtifact(curseforgeOutput, curseforgeEntries, { rootDir, inputs: BUILD_INPUTS });
+
+  // Write SBOMs listing exactly what each artifact ships
+  const sbomPackInfo = {
+    name: packData.name,
+    version: packageInfo.version,
+    gameVersion: packData.gameVersion,
+    loaderType: packData.loaderType,
+    loaderVersion: packData.loaderVersion
+  };
+
+  await writeSbom(clientOutput.replace(/\.mrpack$/, '.cdx.json'), [
+    ...[...modrinthMods, ...urlMods, ...cdnMods].map(mod => ({ mod, bundled: false })),
+    ...bundledMods.map(({ mod, license }) => ({ mod: { ...mod, license: mod.license || license }, bundled: true }))
+  ], sbomPackInfo, { name: clientFilename, ...clientChecksums });
+
+  await writeSbom(curseforgeOutput.replace(/\.zip$/, '.cdx.json'), [
+    ...mappedMods.map(({ mod }) => ({ mod, bundled: false })),
+    ...bundled.map(({ mod }) => ({ mod, bundled: true }))
+  ], sbomPackInfo, { name: curseforgeFilename, ...curseforgeChecksums });
+
+  // Record what the client download costs players
+  const sizeReport = await createClientSizeReport(indexData, clientEntries, clientOutput, [...modrinthMods, ...urlMods, ...cdnMods]);
+  await writeSizeReport(getSizeReportPath(clientOutput), sizeReport);
+
+  // Report results
+  reportNonDownloadableMods(notBundledMods);
+  reportCurseForgeExport(mappedMods, bundled, reported, curseforgePolicy);
+
+  console.log(`\n✨ Build complete!`);
+  console.log(`   Client modpack: ${path.relative(process.cwd(), clientOutput)}`);
+  console.log(`   CurseForge modpack: ${path.relative(process.cwd(), curseforgeOutput)}`);
+  console.log(`\n🎯 Next steps:`);
+  console.log(`   1. Test the .mrpack file in a launcher (MultiMC, Prism, etc.)`);
+  console.log(`   2. Upload to GitHub releases or your preferred distribution method`);
+  console.log(`   3. Consider creating a server pack build (coming soon)`);
 }
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  build();
+  build(parseArgs()).catch(error => {
+    console.error('❌ Build failed:', error.message);
+    process.exit(1);
+  });
 }
 
 export { build };
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Inspect and maintain the download cache (.file-cache)
+ * list: show what each entry is, verify: re-hash entries and evict corrupt ones,
+ * prune: drop entries no recent pack.json uses and apply FILE_CACHE_MAX_SIZE
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { loadPackMetadata } from './lib/builder.js';
+import { getReleaseTags, readPackAtRef } from './lib/release.js';
+import { formatBytes } from './lib/size.js';
+import {
+  parseSize,
+  getCacheLimit,
+  listCacheEntries,
+  verifyCacheEntries,
+  getReferencedHashes,
+  findUnreferencedEntries,
+  selectLeastRecentlyUsed,
+  evictCacheEntries
+} from './lib/cache.js';
+
+// Load environment variables
+dotenv.config();
+
+const __dirname   = path.dirname(fileURLToPath(import.meta.url));
+const rootDir     = path.dirname(__dirname);
+const metadataDir = path.join(rootDir, 'metadata');
+const cacheDir    = path.join(rootDir, '.file-cache');
+
+// Release versions whose mods are kept by prune unless --keep is passed
+const DEFAULT_KEEP_VERSIONS = 3;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const valueOf = flag => {
+    const index = args.indexOf(flag);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  return {
+    command: args.find(arg => !arg.startsWith('-') && arg !== valueOf('--keep') && arg !== valueOf('--max-size')),
+    keep: valueOf('--keep') !== undefined ? parseInt(valueOf('--keep'), 10) : DEFAULT_KEEP_VERSIONS,
+    maxSize: valueOf('--max-size') !== undefined ? parseSize(valueOf('--max-size')) : getCacheLimit(),
+    dryRun: args.includes('--dry-run')
+  };
+}
+
+/**
+ * Name mods from pack.json by hash, for entries downloaded before the cache index existed
+ */
+function getModNamesByHash(packData) {
+  const names = new Map();
+  for (const mod of packData.mods) {
+    if (mod.sha512) names.set(mod.sha512, mod.name || mod.filename);
+    if (mod.sha1) names.set(mod.sha1, mod.name || mod.filename);
+  }
+  return names;
+}
+
+/**
+ * Describe an entry for output
+ */
+function describeEntry(entry, names) {
+  const name = entry.name || entry.filename || names.get(entry.hash) || '(unknown)';
+  return `${entry.hash.slice(0, 12)}  ${formatBytes(entry.size).padStart(9)}  ${entry.lastUsed.slice(0, 10)}  ${name}${entry.partial ? ' (partial)' : ''}`;
+}
+
+/**
+ * List cache entries
+ */
+async function listCommand() {
+  const packData = await loadPackMetadata(metadataDir);
+  const names = getModNamesByHash(packData);
+  const entries = await listCacheEntries(cacheDir);
+
+  console.log(`\n🗄️  ${entries.length} cache entries:`);
+  console.log(`   ${'hash'.padEnd(12)}  ${'size'.padStart(9)}  ${'last used'.padEnd(10)}  name`);
+  entries
+    .sort((a, b) => b.lastUsed.localeCompare(a.lastUsed))
+    .forEach(entry => console.log(`   ${describeEntry(entry, names)}`));
+
+  const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const limit = getCacheLimit();
+  console.log(`\n   Total: ${formatBytes(total)}${limit ? ` of ${formatBytes(limit)} (FILE_CACHE_MAX_SIZE)` : ''}`);
+}
+
+/**
+ * Re-hash every entry and evict corrupt ones
+ */
+async function verifyCommand() {
+  console.log('🔍 Verifying cache entries...');
+
+  const { valid, corrupt } = await verifyCacheEntries(cacheDir);
+
+  corrupt.forEach(entry => console.log(`   ❌ ${entry.file}: ${entry.reason} (evicted)`));
+  console.log(`\n✅ ${valid.length} entries valid, ${corrupt.length} corrupt entries evicted`);
+}
+
+/**
+ * Drop entries not referenced by the current or last N release pack.json files, then apply the size cap
+ */
+async function pruneCommand({ keep, maxSize, dryRun }) {
+  const packData = await loadPackMetadata(metadataDir);
+  const tags = getReleaseTags(rootDir).slice(0, keep);
+  const packs = [packData, ...tags.map(tag => readPackAtRef(rootDir, tag))];
+
+  console.log(`🧹 Pruning cache (keeping mods from pack.json${tags.length > 0 ? ` and ${tags.join(', ')}` : ''})...`);
+
+  const names = getModNamesByHash(packData);
+  const unreferenced = await findUnreferencedEntries(cacheDir, getReferencedHashes(packs));
+  const unreferencedFiles = new Set(unreferenced.map(entry => entry.file));
+
+  // Apply the size cap to what is left after dropping unreferenced entries
+  const remaining = (await listCacheEntries(cacheDir)).filter(entry => !unreferencedFiles.has(entry.file));
+  const overLimit = maxSize ? selectLeastRecentlyUsed(remaining, maxSize) : [];
+
+  const removed = [...unreferenced, ...overLimit];
+  unreferenced.forEach(entry => console.log(`   🗑️  ${describeEntry(entry, names)} (unreferenced)`));
+  overLimit.forEach(entry => console.log(`   🗑️  ${describeEntry(entry, names)} (least recently used)`));
+
+  const freed = removed.reduce((sum, entry) => sum + entry.size, 0);
+  if (dryRun) {
+    console.log(`\n📝 Dry run: would remove ${removed.length} entries (${formatBytes(freed)})`);
+    return;
+  }
+
+  await evictCacheEntries(cacheDir, removed.map(entry => entry.file));
+  console.log(`\n✅ Removed ${removed.length} entries, freed ${formatBytes(freed)}`);
+}
+
+/**
+ * Main cache function
+ */
+async function cache() {
+  const options = parseArgs();
+
+  try {
+    if (options.command === 'list') {
+      await listCommand();
+    } else if (options.command === 'verify') {
+      await verifyCommand();
+    } else if (options.command === 'prune') {
+      await pruneCommand(options);
+    } else {
+      throw new Error('Usage: npm run cache -- <list|verify|prune> [--keep N] [--max-size 5GB] [--dry-run]');
+    }
+  } catch (error) {
+    console.error('❌ Cache command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  cache();
+}
+
+export { cache };
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Compare the size reports and build manifests of two builds
+ * Shows what grew, what shrank and which files changed
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadPackageInfo } from './lib/builder.js';
+import { formatBytes, formatDelta, getSizeReportPath, compareSizeReports } from './lib/size.js';
+
+const __dirname   = path.dirname(fileURLToPath(import.meta.url));
+const rootDir     = path.dirname(__dirname);
+const releasesDir = path.join(rootDir, 'releases');
+
+// Changed files listed per section unless --all is passed
+const MAX_LISTED_FILES = 25;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('-'));
+  return {
+    before: positional[0],
+    after: positional[1],
+    all: args.includes('--all')
+  };
+}
+
+/**
+ * Resolve a version or a .size.json path to the size reports it names
+ * A version names the client and server reports in releases/
+ */
+function resolveReportPaths(arg, packageName) {
+  if (arg.endsWith('.json')) {
+    return [path.resolve(arg)];
+  }
+
+  const version = arg.replace(/^v/, '');
+  return ['', '-server'].map(suffix => getSizeReportPath(path.join(releasesDir, `${packageName}-v${version}${suffix}`)));
+}
+
+/**
+ * Load the size reports for an argument, keyed by report type
+ * Build manifests are loaded alongside when they exist
+ */
+async function loadReports(arg, packageName) {
+  const reports = new Map();
+
+  for (const reportPath of resolveReportPaths(arg, packageName)) {
+    if (!await fs.pathExists(reportPath)) continue;
+
+    const report = await fs.readJSON(reportPath);
+    const manifestPath = reportPath.replace(/\.size\.json$/, '.build.json');
+    const manifest = await fs.pathExists(manifestPath) ? await fs.readJSON(manifestPath) : null;
+    reports.set(report.type, { report, manifest });
+  }
+
+  if (reports.size === 0) {
+    throw new Error(`No size reports found for "${arg}". Build it first or pass a .size.json path.`);
+  }
+
+  return reports;
+}
+
+/**
+ * Print a capped list of lines
+ */
+function printList(items, format, all) {
+  const shown = all ? items : items.slice(0, MAX_LISTED_FILES);
+  shown.forEach(item => console.log(`      ${format(item)}`));
+  if (shown.length < items.length) {
+    console.log(`      ... and ${items.length - shown.length} more (--all to list them)`);
+  }
+}
+
+/**
+ * Print the comparison of two reports
+ */
+function printComparison(before, after, comparison, all) {
+  console.log(`\n📊 ${before.artifact} → ${after.artifact}`);
+  for (const total of comparison.totals) {
+    console.log(`   ${total.label}: ${formatBytes(total.before)} → ${formatBytes(total.after)} (${formatDelta(total.delta)})`);
+  }
+
+  const sections = [
+    ['📈 Grew', comparison.grew, change => `${change.name}: ${formatBytes(change.from.size)} → ${formatBytes(change.to.size)} (${formatDelta(change.delta)})`],
+    ['📉 Shrank', comparison.shrank, change => `${change.name}: ${formatBytes(change.from.size)} → ${formatBytes(change.to.size)} (${formatDelta(change.delta)})`],
+    ['➕ Added mods', comparison.added, mod => `${mod.name} (${formatBytes(mod.size)})`],
+    ['➖ Removed mods', comparison.removed, mod => `${mod.name} (${formatBytes(mod.size)})`]
+  ];
+
+  for (const [title, items, format] of sections) {
+    if (items.length === 0) continue;
+    console.log(`   ${title}:`);
+    printList(items, format, all);
+  }
+
+  const { added, removed, changed } = comparison.files;
+  console.log(`   📝 Files: ${added.length} added, ${removed.length} removed, ${changed.length} changed`);
+  printList([
+    ...added.map(file => `+ ${file}`),
+    ...removed.map(file => `- ${file}`),
+    ...changed.map(file => `~ ${file}`)
+  ], line => line, all);
+}
+
+/**
+ * Main compare function
+ */
+async function compare() {
+  const { before, after, all } = parseArgs();
+
+  try {
+    if (!before || !after) {
+      throw new Error('Usage: npm run compare -- <before> <after> [--all] (versions or .size.json paths)');
+    }
+
+    const packageInfo = await loadPackageInfo(rootDir);
+    const beforeReports = await loadReports(before, packageInfo.name);
+    const afterReports = await loadReports(after, packageInfo.name);
+
+    let compared = 0;
+    for (const [type, { report, manifest }] of afterReports) {
+      const previous = beforeReports.get(type);
+      if (!previous) {
+        console.log(`⚠️  No ${type} report for "${before}", skipping ${report.artifact}`);
+        continue;
+      }
+
+      const comparison = compareSizeReports(previous.report, report, previous.manifest, manifest);
+      printComparison(previous.report, report, comparison, all);
+      compared++;
+    }
+
+    if (compared === 0) {
+      throw new Error('The two builds have no report types in common');
+    }
+
+  } catch (error) {
+    console.error('❌ Compare failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  compare();
+}
+
+export { compare };
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Import an existing .mrpack into metadata (reverse of build)
+ * Writes pack.json and asset directories in the same shape sync produces
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readMrpack, getPackInfo, importIndexFiles, extractOverrides } from './lib/mrpack.js';
+import { generateMetadata } from './lib/metadata.js';
+import { importInstanceAssets } from './lib/assets.js';
+import { getModDownloadUrl, loadCurseForgePolicy, resolveCurseForgeProjects } from './lib/sources.js';
+
+const __dirname   = path.dirname(fileURLToPath(import.meta.url));
+const rootDir     = path.dirname(__dirname);
+const metadataDir = path.join(rootDir, 'metadata');
+const cacheDir    = path.join(rootDir, '.file-cache');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  return {
+    file: args.find(arg => !arg.startsWith('-')),
+    force: args.includes('--force'),
+    download: !args.includes('--no-download')
+  };
+}
+
+/**
+ * Main import function
+ */
+async function importMrpack() {
+  const { file, force, download } = parseArgs();
+
+  if (!file) {
+    console.error('❌ Usage: npm run import <file.mrpack> [--force] [--no-download]');
+    process.exit(1);
+  }
+
+  console.log('📥 Importing .mrpack into metadata...');
+
+  try {
+    if (await fs.pathExists(path.join(metadataDir, 'pack.json')) && !force) {
+      throw new Error('metadata/pack.json already exists. Use --force to replace it.');
+    }
+
+    const { zip, index } = await readMrpack(path.resolve(file));
+    const packInfo = getPackInfo(index);
+
+    console.log(`   ✅ ${packInfo.name} ${packInfo.version}`);
+    console.log(`   ✅ Minecraft ${packInfo.loaderInfo.minecraft}, ${packInfo.loaderInfo.loader.type} ${packInfo.loaderInfo.loader.version}`);
+
+    // Import mod entries (downloads jars into the cache to read real metadata)
+    if (!download) {
+      console.log('   ⚡ Skipping jar downloads (--no-download), mod ids and versions will be guessed');
+    }
+    const { mods, skipped } = await importIndexFiles(index, { cacheDir, download });
+    await resolveCurseForgeProjects(mods, await loadCurseForgePolicy(metadataDir));
+
+    // Extract overrides as an instance and copy assets the same way sync does
+    const copiedAssets = await importInstanceAssets(metadataDir, tempDir => extractOverrides(zip, tempDir));
+
+    // Generate metadata
+    const packData = await generateMetadata(null, packInfo.loaderInfo, mods, {
+      name: packInfo.name,
+      description: packInfo.description,
+      version: packInfo.version,
+      instanceName: path.basename(file, '.mrpack')
+    }, { replace: true });
+
+    // Show summary
+    console.log('\n📊 Summary:');
+    console.log(`   Pack: ${packData.name} ${packData.version}`);
+    console.log(`   Mods: ${mods.length}`);
+    console.log(`   Assets: ${copiedAssets.length} copied (${copiedAssets.join(', ')})`);
+    console.log(`   Game Version: ${packData.gameVersion}`);
+    console.log(`   Loader: ${packData.loaderType} ${packData.loaderVersion}`);
+
+    if (skipped.length > 0) {
+      console.log(`\n⚠️  ${skipped.length} non-mod index files were not imported:`);
+      skipped.forEach(filePath => console.log(`   - ${filePath}`));
+    }
+
+    // Builds leave out mods they can't download, say so now rather than at the next build
+    const unsourced = mods.filter(mod => !getModDownloadUrl(mod));
+    if (unsourced.length > 0) {
+      console.log(`\n⚠️  ${unsourced.length} mods have no download source and will be left out of builds:`);
+      unsourced.forEach(mod => console.log(`   ❌ ${mod.filename}${mod.curseforge ? ` (CurseForge file ${mod.curseforge.fileId}, project unknown)` : ''}`));
+      console.log('\n   Set CURSEFORGE_API_KEY and import again, or add the project and file ids under "mappings"');
+      console.log('   in metadata/curseforge.json, to keep CurseForge mods.');
+    }
+
+    console.log('✅ Import complete!');
+
+  } catch (error) {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  importMrpack();
+}
+
+export { importMrpack };
@@ -3,94 +3,165 @@
  */
 
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { loadSecretRules, scrubSecrets, scrubContent } from './secrets.js';
+import { loadInstanceAssets, isTrackedFile } from './sync-rules.js';
+import { listFiles } from './overrides.js';
+
+/**
+ * Mirror the tracked files of a directory asset into metadata
+ * Files are compared after scrubbing so a secret that is only redacted again doesn't count as an update.
+ * Files that are gone from the instance or no longer match the rules are removed
+ */
+async function mirrorDirectory(asset, sourcePath, targetPath, secretRules) {
+  const stats = { added: 0, updated: 0, removed: 0, tracked: 0 };
+
+  const sourceFiles = fs.existsSync(sourcePath)
+    ? (await listFiles(sourcePath)).filter(file => isTrackedFile(asset, file))
+    : [];
+  const targetFiles = fs.existsSync(targetPath) ? await listFiles(targetPath) : [];
+
+  for (const file of sourceFiles) {
+    const sourceFile = path.join(sourcePath, file);
+    const targetFile = path.join(targetPath, file);
+    const content = scrubContent(path.posix.join(asset.targetPath, file), fs.readFileSync(sourceFile), secretRules);
+
+    if (!fs.existsSync(targetFile)) {
+      stats.added++;
+    } else if (!content.equals(fs.readFileSync(targetFile))) {
+      stats.updated++;
+    } else {
+      continue;
+    }
+
+    fs.mkdirSync(path.dirname(targetFile), { recursive: true });
+    fs.writeFileSync(targetFile, content);
+  }
+
+  const tracked = new Set(sourceFiles);
+  for (const file of targetFiles.filter(file => !tracked.has(file))) {
+    fs.unlinkSync(path.join(targetPath, file));
+    stats.removed++;
+  }
+
+  removeEmptyDirectories(targetPath);
+  stats.tracked = sourceFiles.length;
+
+  return stats;
+}
+
+/**
+ * Remove empty directories below (and including) a directory
+ */
+function removeEmptyDirectories(dir) {
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      removeEmptyDirectories(path.join(dir, entry.name));
+    }
+  }
+
+  if (fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+  }
+}
 
 /**
  * Copy additional modpack assets from instance to metadata directory
+ * Only files matching the sync rules are kept, secret values are replaced with placeholders
  */
 export async function copyInstanceAssets(instancePath, metadataPath) {
   console.log('📁 Copying additional modpack assets...');
 
-  const assetsConfig = [
-    {
-      name: 'configureddefaults',
-      sourcePath: 'minecraft/configureddefaults',
-      targetPath: 'configureddefaults',
-      description: 'Default files managed by Configured Defaults mod'
-    },
-    {
-      name: 'kubejs',
-      sourcePath: 'minecraft/kubejs',
-      targetPath: 'kubejs',
-      description: 'KubeJS scripts'
-    },
-    {
-      name: 'datapacks',
-      sourcePath: 'minecraft/datapacks',
-      targetPath: 'datapacks',
-      description: 'Global datapacks (managed by Paxi mod)'
-    },
-    {
-      name: 'resourcepacks',
-      sourcePath: 'minecraft/resourcepacks',
-      targetPath: 'resourcepacks',
-      description: 'Global resource packs (managed by Paxi mod)'
-    },
-    {
-      name: 'shaderpacks',
-      sourcePath: 'minecraft/shaderpacks',
-      targetPath: 'shaderpacks',
-      description: 'Shader packs for visual effects'
-    },
-    {
-      name: 'icon.png',
-      sourcePath: 'minecraft/icon.png',
-      targetPath: 'icon.png',
-      description: 'Instance icon'
-    },
-    {
-      name: 'servers.dat',
-      sourcePath: 'minecraft/servers.dat',
-      targetPath: 'servers.dat',
-      description: 'Server list'
-    }
-  ];
-
   const copiedAssets = [];
+  const secretRules = await loadSecretRules(metadataPath);
 
-  for (const asset of assetsConfig) {
+  for (const asset of loadInstanceAssets(metadataPath)) {
     const sourcePath = path.join(instancePath, asset.sourcePath);
     const targetPath = path.join(metadataPath, asset.targetPath);
 
-    if (fs.existsSync(sourcePath)) {
-      try {
-        // Ensure target directory exists
-        const targetDir = path.dirname(targetPath);
-        if (!fs.existsSync(targetDir)) {
-          fs.mkdirSync(targetDir, { recursive: true });
-        }
+    try {
+      if (asset.type === 'directory') {
+        const { added, updated, removed, tracked } = await mirrorDirectory(asset, sourcePath, targetPath, secretRules);
 
-        // Copy file or directory
-        if (fs.statSync(sourcePath).isDirectory()) {
-          await copyDirectory(sourcePath, targetPath);
-          console.log(`   ✅ Copied directory: ${asset.description}`);
+        if (tracked > 0) {
+          console.log(`   ✅ Synced ${asset.description}: ${tracked} files (${added} added, ${updated} updated, ${removed} removed)`);
+          copiedAssets.push(asset.name);
+        } else if (removed > 0) {
+          console.log(`   🗑️  Removed ${asset.name}: ${removed} files no longer tracked`);
         } else {
-          fs.copyFileSync(sourcePath, targetPath);
-          console.log(`   ✅ Copied file: ${asset.description}`);
+          console.log(`   ⏭️  Skipped ${asset.name}: ${fs.existsSync(sourcePath) ? 'no tracked files' : 'not found'}`);
         }
-
+      } else if (fs.existsSync(sourcePath)) {
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+        fs.copyFileSync(sourcePath, targetPath);
+        console.log(`   ✅ Copied file: ${asset.description}`);
         copiedAssets.push(asset.name);
-      } catch (error) {
-        console.warn(`   ⚠️  Failed to copy ${asset.name}: ${error.message}`);
+      } else {
+        fs.rmSync(targetPath, { force: true });
+        console.log(`   ⏭️  Skipped ${asset.name}: not found`);
       }
-    } else {
-      console.log(`   ⏭️  Skipped ${asset.name}: not found`);
+    } catch (error) {
+      console.warn(`   ⚠️  Failed to copy ${asset.name}: ${error.message}`);
     }
   }
 
+  // Never keep secrets from the instance in metadata, single-file assets are copied as they are
+  await scrubSecrets(metadataPath, secretRules);
+
   return copiedAssets;
 }
 
+/**
+ * Replace metadata assets with those of a temporary instance
+ * populate(instancePath) fills the instance's minecraft/ directory before copying
+ */
+export async function importInstanceAssets(metadataPath, populate) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'instance-import-'));
+
+  try {
+    await populate(tempDir);
+    return await copyInstanceAssets(tempDir, metadataPath);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Copy modpack assets from metadata directory back into an instance
+ */
+export async function restoreInstanceAssets(metadataPath, instancePath) {
+  console.log('📁 Restoring modpack assets into instance...');
+  const restoredAssets = [];
+
+  for (const asset of loadInstanceAssets(metadataPath)) {
+    const sourcePath = path.join(metadataPath, asset.targetPath);
+    const targetPath = path.join(instancePath, asset.sourcePath);
+
+    if (!fs.existsSync(sourcePath)) {
+      continue;
+    }
+
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+
+    if (fs.statSync(sourcePath).isDirectory()) {
+      await copyDirectory(sourcePath, targetPath);
+      console.log(`   ✅ Restored directory: ${asset.description}`);
+    } else {
+      fs.copyFileSync(sourcePath, targetPath);
+      console.log(`   ✅ Restored file: ${asset.description}`);
+    }
+
+    restoredAssets.push(asset.name);
+  }
+
+  return restoredAssets;
+}
+
 /**
  * Recursively copy a directory
  */
@@ -112,25 +183,3 @@ async function copyDirectory(source, target) {
     }
   }
 }
-
-/**
- * Clean up old asset copies before syncing new ones
- */
-export function cleanAssetDirectories(metadataPath) {
-  const assetDirs = ['configureddefaults', 'kubejs', 'datapacks', 'resourcepacks', 'shaderpacks'];
-  const assetFiles = ['icon.png', 'servers.dat'];
-
-  for (const dir of assetDirs) {
-    const dirPath = path.join(metadataPath, dir);
-    if (fs.existsSync(dirPath)) {
-      fs.rmSync(dirPath, { recursive: true, force: true });
-    }
-  }
-
-  for (const file of assetFiles) {
-    const filePath = path.join(metadataPath, file);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
-  }
-}
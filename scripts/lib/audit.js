@@ -0,0 +1,215 @@
+/**
+ * License audit utilities
+ * Works out each mod's license and checks it against how the pack distributes the jar
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { selectClientMods, categorizeMods } from './builder.js';
+import { hasModrinthSource, resolveCurseForgeDecision, getPublicMirrors } from './sources.js';
+import { getBundleEntry } from './bundle.js';
+import { getCurseForgeMapping } from './curseforge.js';
+import { filterServerMods } from './downloader.js';
+import { classifyLicense } from './licenses.js';
+import { getModrinthApiUrl } from './modrinth.js';
+
+// The Modrinth API accepts up to this many ids per /projects request
+const PROJECT_BATCH_SIZE = 100;
+
+// Cached Modrinth projects older than this are fetched again, licenses can change
+const PROJECT_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the license string from a Modrinth project
+ * Custom licenses only have a meaningful name, everything else has an SPDX id
+ */
+function getProjectLicense(project) {
+  if (!project?.license) return null;
+  const { id, name } = project.license;
+  return id === 'LicenseRef-Custom' ? name || null : id || name || null;
+}
+
+/**
+ * Fetch Modrinth projects for mods, caching each response in cacheDir/modrinth-projects
+ * Cached projects are refreshed once they are older than PROJECT_CACHE_TTL, and kept when the refresh fails
+ * MODRINTH_API_URL points at a local stand-in, offline only reads the cache
+ * Returns a Map of project id to project
+ */
+export async function fetchModrinthProjects(mods, { cacheDir, offline = false }) {
+  const projectCacheDir = path.join(cacheDir, 'modrinth-projects');
+  const ids = [...new Set(mods.filter(hasModrinthSource).map(mod => mod.modrinth.modId))];
+  const projects = new Map();
+  const missing = [];
+  const stale = [];
+
+  for (const id of ids) {
+    const cachePath = path.join(projectCacheDir, `${id}.json`);
+    if (await fs.pathExists(cachePath)) {
+      projects.set(id, await fs.readJSON(cachePath));
+      if (Date.now() - (await fs.stat(cachePath)).mtimeMs >= PROJECT_CACHE_TTL) {
+        stale.push(id);
+      }
+    } else {
+      missing.push(id);
+    }
+  }
+
+  if (offline) {
+    if (missing.length > 0) {
+      console.log(`   ⚠️  ${missing.length} Modrinth projects are not cached, using jar metadata for them (offline)`);
+    }
+    return projects;
+  }
+
+  const outdated = [...missing, ...stale];
+  if (outdated.length === 0) {
+    return projects;
+  }
+
+  const apiUrl = getModrinthApiUrl();
+  const fetch = (await import('node-fetch')).default;
+  await fs.ensureDir(projectCacheDir);
+
+  for (let i = 0; i < outdated.length; i += PROJECT_BATCH_SIZE) {
+    const batch = outdated.slice(i, i + PROJECT_BATCH_SIZE);
+
+    try {
+      const response = await fetch(`${apiUrl}/v2/projects?ids=${encodeURIComponent(JSON.stringify(batch))}`, {
+        headers: { 'Accept': 'application/json' },
+        signal: AbortSignal.timeout(30000)
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      for (const project of await response.json()) {
+        projects.set(project.id, project);
+        await fs.writeJSON(path.join(projectCacheDir, `${project.id}.json`), project, { spaces: 2 });
+      }
+    } catch (error) {
+      // Network errors repeat the whole request URL, the code is enough
+      const reason = error.code || error.message;
+      console.log(`   ⚠️  Modrinth project lookup failed (${reason}), using cached projects or jar metadata for ${batch.length} mods`);
+    }
+  }
+
+  return projects;
+}
+
+/**
+ * Pick the license used for the audit
+ * The first source that classifies wins: Modrinth project, jar metadata, then the bundle.json entry
+ */
+export function resolveLicense(mod, project, bundleEntry) {
+  const candidates = [
+    { license: getProjectLicense(project), source: 'modrinth' },
+    { license: mod.license || null, source: 'jar' },
+    { license: bundleEntry?.license || null, source: 'bundle.json' }
+  ].filter(candidate => candidate.license);
+
+  const known = candidates.find(candidate => classifyLicense(candidate.license) !== 'unknown');
+  const chosen = known || candidates[0] || { license: null, source: null };
+
+  return { ...chosen, classification: classifyLicense(chosen.license) };
+}
+
+/**
+ * Work out how each mod's jar leaves our hands
+ * bundled: the jar is inside a pack archive or the server pack,
+ * mirrored: the .mrpack points launchers at the CurseForge CDN or a public mirror from sources.json,
+ * hosted: the jar is downloaded into the server pack we deploy
+ * Returns a Map of mod to [{ channel, via, permission }]
+ */
+export function getDistributionChannels(packData, { bundlePolicy, curseforgePolicy, sources }) {
+  const channels = new Map(packData.mods.map(mod => [mod, []]));
+  const add = (mod, channel) => channels.get(mod).push(channel);
+
+  const { mods: clientMods } = selectClientMods(packData);
+  const client = categorizeMods(clientMods);
+  const all = categorizeMods(packData.mods);
+
+  // CurseForge mods the .mrpack downloads from the CurseForge CDN, or leaves for bundling
+  const bundleCandidates = new Set([...client.nonDownloadableMods, ...filterServerMods(all.nonDownloadableMods)]);
+  for (const mod of client.curseforgeMods) {
+    const decision = resolveCurseForgeDecision(mod, curseforgePolicy);
+    if (decision.action === 'cdn') {
+      const explicit = Boolean(curseforgePolicy.mods[mod.modid] || curseforgePolicy.mods[mod.filename]);
+      add(mod, { channel: 'mirrored', via: 'CurseForge CDN in the .mrpack', permission: mod.curseforge.allowDistribution === true, explicit });
+    } else {
+      bundleCandidates.add(mod);
+    }
+  }
+
+  // Public mirrors re-host every jar the .mrpack lists them for
+  for (const mod of [...client.modrinthMods, ...client.curseforgeMods, ...client.urlMods]) {
+    if (bundleCandidates.has(mod)) continue;
+    for (const mirror of getPublicMirrors(mod, sources)) {
+      add(mod, { channel: 'mirrored', via: `${mirror.name || `${new URL(mirror.url).host} mirror`} in the .mrpack`, permission: false });
+    }
+  }
+
+  for (const mod of bundleCandidates) {
+    const entry = getBundleEntry(mod, bundlePolicy);
+    if (entry) {
+      add(mod, { channel: 'bundled', via: 'bundle.json', permission: Boolean(entry.permission) });
+    }
+  }
+
+  // The CurseForge export copies unmapped jars into overrides/mods when bundle.json allowlists them
+  if (curseforgePolicy.unmappedMods === 'bundle') {
+    for (const mod of clientMods) {
+      const entry = getBundleEntry(mod, bundlePolicy);
+      if (mod.side !== 'server' && !getCurseForgeMapping(mod, curseforgePolicy) && entry) {
+        add(mod, { channel: 'bundled', via: 'CurseForge overrides', permission: Boolean(entry.permission) });
+      }
+    }
+  }
+
+  for (const mod of filterServerMods([...all.modrinthMods, ...all.curseforgeMods, ...all.urlMods])) {
+    add(mod, { channel: 'hosted', via: 'server pack', permission: false });
+  }
+
+  return channels;
+}
+
+/**
+ * Check a license against a distribution channel
+ * Returns { level: 'violation' | 'warning', message } or null when the combination is fine
+ */
+export function checkChannel(classification, channel) {
+  if (classification === 'permissive' || classification === 'copyleft' || channel.permission) {
+    return null;
+  }
+
+  const license = classification === 'arr' ? 'all rights reserved' : 'unknown license';
+
+  if (channel.channel === 'hosted') {
+    return classification === 'arr'
+      ? { level: 'warning', message: `${license}, hosted in the ${channel.via}` }
+      : null;
+  }
+
+  if (channel.channel === 'mirrored' && channel.explicit) {
+    return { level: 'warning', message: `${license}, served from the ${channel.via} by a curseforge.json decision` };
+  }
+
+  return { level: 'violation', message: `${license}, ${channel.channel} via ${channel.via}` };
+}
+
+/**
+ * Audit a single mod
+ * Returns { mod, license, source, classification, channels, issues }
+ */
+export function auditMod(mod, { project, bundleEntry, channels = [] }) {
+  const { license, source, classification } = resolveLicense(mod, project, bundleEntry);
+
+  const issues = channels.map(channel => checkChannel(classification, channel)).filter(Boolean);
+
+  // The CurseForge project opting out of third-party distribution overrides any license
+  if (mod.curseforge?.allowDistribution === false && channels.some(channel => channel.channel === 'mirrored')) {
+    issues.push({ level: 'violation', message: 'CurseForge project disallows third-party distribution' });
+  }
+
+  return { mod, license, source, classification, channels, issues };
+}
@@ -1,6 +1,20 @@
 import fs from 'fs-extra';
 import path from 'path';
+import crypto from 'crypto';
 import archiver from 'archiver';
+import {
+  getDownloadFilename,
+  hasModrinthSource,
+  hasCurseForgeSource,
+  hasUrlSource,
+  getPublicModUrls,
+  resolveCurseForgeDecision
+} from './sources.js';
+import { getLoaderKey } from './mrpack.js';
+import { copyAssetsBySide, listFiles } from './overrides.js';
+import { stableStringify } from './checksums.js';
+import { copyBundledMods } from './bundle.js';
+import { loadSecretRules, secureArtifact } from './secrets.js';
 
 /**
  * Load pack metadata from metadata/pack.json
@@ -19,88 +33,165 @@ export async function loadPackMetadata(metadataDir) {
   return packData;
 }
 
+/**
+ * Check whether a mod is listed in pack.json "optionalMods" (by mod id or filename)
+ */
+export function isOptionalMod(mod, optionalMods = []) {
+  return optionalMods.includes(mod.modid) || optionalMods.includes(getDownloadFilename(mod));
+}
+
+/**
+ * Select the mods that go into client packs
+ * Disabled mods are dropped, or kept as optional when pack.json sets "disabledMods": "optional"
+ */
+export function selectClientMods(packData) {
+  const policy = packData.disabledMods || 'exclude';
+  const optionalMods = packData.optionalMods || [];
+
+  if (policy !== 'exclude' && policy !== 'optional') {
+    throw new Error(`Invalid disabledMods policy "${policy}" in pack.json (expected "exclude" or "optional")`);
+  }
+
+  for (const entry of optionalMods) {
+    if (!packData.mods.some(mod => isOptionalMod(mod, [entry]))) {
+      console.warn(`⚠️  optionalMods entry "${entry}" does not match any mod in pack.json`);
+    }
+  }
+
+  const mods = packData.mods.filter(mod => !mod.disabled || policy === 'optional');
+  const excludedDisabledMods = packData.mods.filter(mod => mod.disabled && policy === 'exclude');
+
+  return { mods, excludedDisabledMods };
+}
+
+/**
+ * Get the modrinth.index.json env for a mod
+ * Disabled and optional mods become launcher toggles on the client
+ */
+function getModEnv(mod, optionalMods) {
+  const optional = mod.disabled || isOptionalMod(mod, optionalMods);
+  const onClient = mod.side === 'both' || mod.side === 'client';
+  const onServer = mod.side === 'both' || mod.side === 'server';
+
+  return {
+    client: onClient ? (optional ? 'optional' : 'required') : 'unsupported',
+    server: onServer ? (mod.disabled ? 'optional' : 'required') : 'unsupported'
+  };
+}
+
 /**
  * Categorize mods by download availability
+ * Modrinth is preferred when a mod has both Modrinth and CurseForge data,
+ * urlMods only have a direct download URL
  */
 export function categorizeMods(mods) {
   const modrinthMods = [];
+  const curseforgeMods = [];
+  const urlMods = [];
   const nonDownloadableMods = [];
 
   for (const mod of mods) {
-    if (mod.modrinth && mod.modrinth.modId && mod.modrinth.version) {
+    if (hasModrinthSource(mod)) {
       modrinthMods.push(mod);
+    } else if (hasCurseForgeSource(mod)) {
+      curseforgeMods.push(mod);
+    } else if (hasUrlSource(mod)) {
+      urlMods.push(mod);
     } else {
       nonDownloadableMods.push(mod);
     }
   }
 
-  return { modrinthMods, nonDownloadableMods };
+  return { modrinthMods, curseforgeMods, urlMods, nonDownloadableMods };
+}
+
+/**
+ * Apply the CurseForge distribution policy to CurseForge-sourced mods
+ */
+export function resolveCurseForgeMods(curseforgeMods, policy) {
+  const cdnMods = [];
+  const excludedMods = [];
+
+  if (curseforgeMods.length > 0) {
+    console.log('🔥 Resolving CurseForge mods...');
+  }
+
+  for (const mod of curseforgeMods) {
+    const decision = resolveCurseForgeDecision(mod, policy);
+
+    if (decision.action === 'cdn') {
+      cdnMods.push(mod);
+      console.log(`   ✓ ${mod.name || mod.filename}: CurseForge CDN (${decision.reason})`);
+    } else {
+      excludedMods.push({ mod, reason: decision.reason });
+      console.log(`   ✗ ${mod.name || mod.filename}: excluded (${decision.reason})`);
+    }
+  }
+
+  return { cdnMods, excludedMods };
 }
 
 /**
  * Generate modrinth.index.json content
+ * The mrpack format requires both sha1 and sha512 for every file,
+ * downloads lists the origin and every public mirror from sources.json in source order
  */
-export function generateModrinthIndex(modrinthMods, packInfo) {
+export function generateModrinthIndex(mods, packInfo, sources) {
   console.log('🔗 Generating Modrinth index...');
 
-  const files = modrinthMods.map(mod => ({
-    path: `mods/${mod.filename}`,
-    hashes: {
-      sha512: mod.sha512
-    },
-    env: {
-      client: mod.side === 'both' || mod.side === 'client' ? 'required' : 'unsupported',
-      server: mod.side === 'both' || mod.side === 'server' ? 'required' : 'unsupported'
-    },
-    downloads: [
-      `https://cdn.modrinth.com/data/${mod.modrinth.modId}/versions/${mod.modrinth.version}/${mod.filename}`
-    ],
-    fileSize: mod.size
-  }));
-
-  console.log(`   Generated ${files.length} Modrinth download entries`);
+  const files = mods.map(mod => {
+    return {
+      path: `mods/${getDownloadFilename(mod)}`,
+      hashes: {
+        sha1: mod.sha1,
+        sha512: mod.sha512
+      },
+      env: getModEnv(mod, packInfo.optionalMods),
+      downloads: getPublicModUrls(mod, sources),
+      fileSize: mod.size
+    };
+  });
+
+  files.sort((a, b) => a.path.localeCompare(b.path, 'en'));
+
+  console.log(`   Generated ${files.length} download entries`);
 
   return {
     formatVersion: 1,
     game: 'minecraft',
-    versionId: packInfo.gameVersion,
+    versionId: packInfo.version,
     name: packInfo.name,
     summary: packInfo.description,
     files,
     dependencies: {
       minecraft: packInfo.gameVersion,
-      [packInfo.loaderType]: packInfo.loaderVersion
+      [getLoaderKey(packInfo.loaderType)]: packInfo.loaderVersion
     }
   };
 }
 
+// Override directories for each side in a .mrpack
+const MRPACK_OVERRIDE_DIRS = { both: 'overrides', client: 'client-overrides', server: 'server-overrides' };
+
 /**
  * Copy overrides (assets that aren't mods)
+ * overrideDirs maps each side to a directory in the archive, or null to leave that side out
  */
-export async function copyOverrides(metadataDir, tempDir) {
+export async function copyOverrides(metadataDir, tempDir, sides, overrideDirs = MRPACK_OVERRIDE_DIRS) {
   console.log('📁 Copying overrides...');
 
-  const overridesDir = path.join(tempDir, 'overrides');
-  await fs.ensureDir(overridesDir);
-
-  const assetDirs = [
-    { source: 'configureddefaults', target: 'configureddefaults' },
-    { source: 'kubejs', target: 'kubejs' },
-    { source: 'datapacks', target: 'datapacks' },
-    { source: 'resourcepacks', target: 'resourcepacks' },
-    { source: 'shaderpacks', target: 'shaderpacks' }
-  ];
+  await fs.ensureDir(path.join(tempDir, overrideDirs.both));
 
-  let copiedCount = 0;
+  const targets = {};
+  for (const [side, dir] of Object.entries(overrideDirs)) {
+    targets[side] = dir ? path.join(tempDir, dir) : null;
+  }
 
-  for (const { source, target } of assetDirs) {
-    const sourcePath = path.join(metadataDir, source);
-    const targetPath = path.join(overridesDir, target);
+  const counts = await copyAssetsBySide(metadataDir, sides, targets);
 
-    if (await fs.pathExists(sourcePath)) {
-      await fs.copy(sourcePath, targetPath);
-      console.log(`   ✓ Copied ${source}`);
-      copiedCount++;
+  for (const [side, dir] of Object.entries(overrideDirs)) {
+    if (dir && counts[side] > 0) {
+      console.log(`   ✓ Copied ${counts[side]} ${side === 'both' ? 'shared' : `${side}-only`} files to ${dir}/`);
     }
   }
 
@@ -109,59 +200,92 @@ export async function copyOverrides(metadataDir, tempDir) {
   if (await fs.pathExists(iconPath)) {
     await fs.copy(iconPath, path.join(tempDir, 'icon.png'));
     console.log(`   ✓ Copied icon.png`);
-    copiedCount++;
   }
+}
 
-  console.log(`   Copied ${copiedCount} asset directories/files`);
+// Fixed timestamp and permissions so identical inputs produce identical archives
+// (archiver writes the DOS time from the UTC fields, so the date is fixed in UTC)
+const ZIP_ENTRY_DATE = new Date(Date.UTC(1980, 0, 1, 0, 0, 0));
+const ZIP_ENTRY_MODE = 0o644;
+
+/**
+ * Zip the contents of a directory into outputPath
+ * Entries are sorted with fixed timestamps, so the output is reproducible
+ * Returns the [{ name, sha256, size }] entries written
+ */
+export async function createZipArchive(sourceDir, outputPath) {
+  const files = await listFiles(sourceDir);
+  const entries = [];
+
+  for (const name of files) {
+    const content = await fs.readFile(path.join(sourceDir, name));
+    entries.push({ name, content, sha256: crypto.createHash('sha256').update(content).digest('hex') });
+  }
+
+  const output = fs.createWriteStream(outputPath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  await new Promise((resolve, reject) => {
+    output.on('close', () => {
+      console.log(`   ✓ Created ${path.basename(outputPath)} (${(archive.pointer() / 1024 / 1024).toFixed(2)} MB)`);
+      resolve();
+    });
+
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.on('warning', (err) => {
+      if (err.code === 'ENOENT') {
+        console.warn('   ⚠️  Archive warning:', err.message);
+      } else {
+        reject(err);
+      }
+    });
+
+    archive.pipe(output);
+
+    // Add files in sorted order
+    for (const { name, content } of entries) {
+      archive.append(content, { name, date: ZIP_ENTRY_DATE, mode: ZIP_ENTRY_MODE });
+    }
+    archive.finalize();
+  });
+
+  return entries.map(({ name, sha256, content }) => ({ name, sha256, size: content.length }));
 }
 
 /**
  * Create .mrpack file from index data and overrides
+ * Returns the archive entries
  */
-export async function createMrpack(indexData, metadataDir, outputPath, distDir) {
+export async function createMrpack(indexData, metadataDir, outputPath, distDir, sides, bundledMods = []) {
   console.log('📦 Creating .mrpack file...');
 
-  // Create temporary directory for building
+  // Create an empty temporary directory for building
   const tempDir = path.join(distDir, 'temp');
-  await fs.ensureDir(tempDir);
+  await fs.emptyDir(tempDir);
 
   try {
     // Write modrinth.index.json
     console.log('   📝 Writing modrinth.index.json...');
-    await fs.writeJSON(path.join(tempDir, 'modrinth.index.json'), indexData, { spaces: 2 });
+    await fs.writeFile(path.join(tempDir, 'modrinth.index.json'), stableStringify(indexData));
 
     // Copy overrides
-    await copyOverrides(metadataDir, tempDir);
+    await copyOverrides(metadataDir, tempDir, sides);
+
+    // Bundle allowlisted jars into the overrides for their side
+    for (const side of ['both', 'client', 'server']) {
+      const sideMods = bundledMods.filter(({ mod }) => (mod.side || 'both') === side);
+      if (sideMods.length > 0) {
+        await copyBundledMods(sideMods, path.join(tempDir, MRPACK_OVERRIDE_DIRS[side], 'mods'));
+      }
+    }
+
+    // Make sure no secrets are shipped
+    await secureArtifact(tempDir, await loadSecretRules(metadataDir), Object.values(MRPACK_OVERRIDE_DIRS));
 
     // Create the .mrpack archive
     console.log('   🗜️  Compressing to .mrpack...');
-    const output = fs.createWriteStream(outputPath);
-    const archive = archiver('zip', { zlib: { level: 9 } });
-
-    const promise = new Promise((resolve, reject) => {
-      output.on('close', () => {
-        console.log(`   ✓ Created ${path.basename(outputPath)} (${(archive.pointer() / 1024 / 1024).toFixed(2)} MB)`);
-        resolve();
-      });
-
-      output.on('error', reject);
-      archive.on('error', reject);
-      archive.on('warning', (err) => {
-        if (err.code === 'ENOENT') {
-          console.warn('   ⚠️  Archive warning:', err.message);
-        } else {
-          reject(err);
-        }
-      });
-
-      archive.pipe(output);
-
-      // Add all files from temp directory
-      archive.directory(tempDir, false);
-      archive.finalize();
-    });
-
-    return await promise;
+    return await createZipArchive(tempDir, outputPath);
   } finally {
     // Clean up temp directory
     await fs.remove(tempDir);
@@ -169,26 +293,34 @@ export async function createMrpack(indexData, metadataDir, outputPath, distDir)
 }
 
 /**
- * Report non-downloadable mods to the user
+ * Explain why a mod has no download source
  */
-export function reportNonDownloadableMods(nonDownloadableMods) {
-  if (nonDownloadableMods.length === 0) {
-    console.log('✅ All mods can be downloaded from Modrinth!');
+export function getNonDownloadableReason(mod) {
+  return mod.curseforge ? 'Incomplete CurseForge data' :
+    !mod.modrinth ? 'No Modrinth or CurseForge data' :
+    !mod.modrinth.modId ? 'Missing mod ID' :
+    'Missing version ID';
+}
+
+/**
+ * Report mods left out of the modpack to the user
+ * excludedMods are [{ mod, reason }]
+ */
+export function reportNonDownloadableMods(excludedMods) {
+  if (excludedMods.length === 0) {
+    console.log('✅ All mods can be downloaded or bundled!');
     return;
   }
 
-  console.log(`\n⚠️  Found ${nonDownloadableMods.length} mods that cannot be downloaded from Modrinth:`);
+  console.log(`\n⚠️  Found ${excludedMods.length} mods that cannot be downloaded by the launcher:`);
   console.log('   These mods will NOT be included in the modpack:\n');
 
-  for (const mod of nonDownloadableMods) {
-    const reason = !mod.modrinth ? 'No Modrinth data' :
-                  !mod.modrinth.modId ? 'Missing mod ID' :
-                  'Missing version ID';
+  for (const { mod, reason } of excludedMods) {
     console.log(`   ❌ ${mod.name || mod.filename} (${reason})`);
   }
 
-  console.log('\n   Consider manually uploading these mods to a hosting service or finding');
-  console.log('   Modrinth alternatives if you want them included in the modpack.');
+  console.log('\n   Add them to metadata/bundle.json with their license if you may redistribute them,');
+  console.log('   or find Modrinth alternatives if you want them included in the modpack.');
 }
 
 /**
@@ -209,3 +341,10 @@ export async function loadPackageInfo(rootDir) {
 export function generateOutputFilename(packageName, packageVersion) {
   return `${packageName}-v${packageVersion}.mrpack`;
 }
+
+/**
+ * Generate safe filename for the CurseForge export
+ */
+export function generateCurseForgeFilename(packageName, packageVersion) {
+  return `${packageName}-v${packageVersion}-curseforge.zip`;
+}
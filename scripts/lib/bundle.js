@@ -0,0 +1,85 @@
+/**
+ * Mod bundling utilities
+ * Ships jars without a download source inside packs when metadata/bundle.json allows it
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { findModJar } from './validator.js';
+
+/**
+ * Load the bundle allowlist from metadata/bundle.json
+ * "mods" maps a mod id or a sha512/sha1 hash to { license, reason, permission? }
+ */
+export async function loadBundlePolicy(metadataDir) {
+  const policyPath = path.join(metadataDir, 'bundle.json');
+
+  if (!await fs.pathExists(policyPath)) {
+    return { mods: {} };
+  }
+
+  return { mods: {}, ...await fs.readJSON(policyPath) };
+}
+
+/**
+ * Find the allowlist entry for a mod by mod id or hash
+ */
+export function getBundleEntry(mod, policy) {
+  return policy.mods[mod.modid] ||
+    (mod.sha512 && policy.mods[mod.sha512]) ||
+    (mod.sha1 && policy.mods[mod.sha1]) ||
+    null;
+}
+
+/**
+ * Decide which mods can be bundled
+ * candidates are [{ mod, reason }] where reason explains why the mod can't be downloaded
+ * Returns { bundled: [{ mod, jarPath, license }], excluded: [{ mod, reason }] }
+ */
+export async function resolveBundledMods(candidates, policy, options = {}) {
+  const bundled = [];
+  const excluded = [];
+
+  for (const { mod, reason } of candidates) {
+    const entry = getBundleEntry(mod, policy);
+
+    if (!entry) {
+      excluded.push({ mod, reason: `${reason}, not in bundle.json allowlist` });
+      continue;
+    }
+
+    if (!entry.license) {
+      excluded.push({ mod, reason: `${reason}, bundle.json entry has no license` });
+      continue;
+    }
+
+    const jarPath = await findModJar(mod, options);
+    if (!jarPath) {
+      excluded.push({ mod, reason: `${reason}, allowlisted but no local jar (cache or instance)` });
+      continue;
+    }
+
+    if (mod.sha512) {
+      const actualHash = crypto.createHash('sha512').update(await fs.readFile(jarPath)).digest('hex');
+      if (actualHash !== mod.sha512) {
+        excluded.push({ mod, reason: `${reason}, local jar does not match the sha512 in pack.json` });
+        continue;
+      }
+    }
+
+    bundled.push({ mod, jarPath, license: entry.license });
+  }
+
+  return { bundled, excluded };
+}
+
+/**
+ * Copy bundled jars into a mods directory
+ */
+export async function copyBundledMods(bundled, modsDir) {
+  for (const { mod, jarPath, license } of bundled) {
+    await fs.copy(jarPath, path.join(modsDir, mod.filename));
+    console.log(`   ✓ Bundled ${mod.filename} (${license})`);
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Download cache utilities
+ * Keeps an index of what each <hash>.mod entry is, verifies entries and evicts old ones
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+
+const INDEX_FILE = 'index.json';
+const ENTRY_PATTERN = /^([0-9a-f]+)\.mod$/;
+const PARTIAL_PATTERN = /^([0-9a-f]+)\.mod\.part$/;
+
+// Loaded indexes per cache directory, writes are chained so parallel downloads don't interleave
+const indexes = new Map();
+
+/**
+ * Guess the hash algorithm from the hash length
+ */
+export function getHashType(hash) {
+  return { 40: 'sha1', 64: 'sha256', 128: 'sha512' }[hash.length] || null;
+}
+
+/**
+ * Parse a size such as "5GB", "500 MB" or a byte count
+ */
+export function parseSize(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?$/i);
+  if (!match) {
+    throw new Error(`Invalid size "${value}" (expected a number with an optional B/KB/MB/GB/TB unit)`);
+  }
+  const units = { B: 0, KB: 1, MB: 2, GB: 3, TB: 4 };
+  return Math.round(parseFloat(match[1]) * Math.pow(1024, units[(match[2] || 'B').toUpperCase()]));
+}
+
+/**
+ * Get the cache size cap from FILE_CACHE_MAX_SIZE, or null when there is none
+ */
+export function getCacheLimit() {
+  return process.env.FILE_CACHE_MAX_SIZE ? parseSize(process.env.FILE_CACHE_MAX_SIZE) : null;
+}
+
+/**
+ * Read the cache index file
+ */
+async function readCacheIndex(cacheDir) {
+  let entries = {};
+  try {
+    entries = await fs.readJSON(path.join(cacheDir, INDEX_FILE));
+  } catch (error) {
+    // Missing or unreadable index, entries are rebuilt as they are used
+  }
+  return { entries, writing: Promise.resolve() };
+}
+
+/**
+ * Load the cache index, mapping entry filenames to what they contain
+ * The read is shared so parallel downloads all use the same index
+ */
+export async function loadCacheIndex(cacheDir) {
+  if (!indexes.has(cacheDir)) {
+    indexes.set(cacheDir, readCacheIndex(cacheDir));
+  }
+
+  return (await indexes.get(cacheDir)).entries;
+}
+
+/**
+ * Write the cache index, atomically so an interrupted write can't corrupt it
+ * A failed write doesn't stop later writes
+ */
+async function saveCacheIndex(cacheDir) {
+  const index = await indexes.get(cacheDir);
+  const indexPath = path.join(cacheDir, INDEX_FILE);
+
+  const write = index.writing.catch(() => {}).then(async () => {
+    await fs.ensureDir(cacheDir);
+    await fs.writeJSON(`${indexPath}.tmp`, index.entries, { spaces: 2 });
+    await fs.move(`${indexPath}.tmp`, indexPath, { overwrite: true });
+  });
+  index.writing = write;
+
+  return write;
+}
+
+/**
+ * Record that a cache entry was stored or used
+ * info can carry { name, filename, url, hashType, kind, size }
+ */
+export async function recordCacheUse(cacheFile, info = {}) {
+  const cacheDir = path.dirname(cacheFile);
+  const entries = await loadCacheIndex(cacheDir);
+  const key = path.basename(cacheFile);
+
+  const definedInfo = Object.fromEntries(Object.entries(info).filter(([, value]) => value !== undefined && value !== null));
+  entries[key] = { ...entries[key], ...definedInfo, lastUsed: new Date().toISOString() };
+
+  await saveCacheIndex(cacheDir);
+}
+
+/**
+ * Remove entries from the cache and its index
+ */
+export async function evictCacheEntries(cacheDir, files) {
+  const entries = await loadCacheIndex(cacheDir);
+
+  for (const file of files) {
+    await fs.remove(path.join(cacheDir, file));
+    delete entries[file];
+  }
+
+  if (files.length > 0) {
+    await saveCacheIndex(cacheDir);
+  }
+}
+
+/**
+ * List cache entries with their index information
+ * Partial downloads are listed with partial: true
+ */
+export async function listCacheEntries(cacheDir) {
+  if (!await fs.pathExists(cacheDir)) {
+    return [];
+  }
+
+  const entries = await loadCacheIndex(cacheDir);
+  const listed = [];
+
+  for (const file of (await fs.readdir(cacheDir)).sort()) {
+    const match = file.match(ENTRY_PATTERN) || file.match(PARTIAL_PATTERN);
+    if (!match) continue;
+
+    const stats = await fs.stat(path.join(cacheDir, file));
+    const info = entries[file] || {};
+
+    listed.push({
+      ...info,
+      file,
+      hash: match[1],
+      hashType: info.hashType || getHashType(match[1]),
+      size: stats.size,
+      lastUsed: info.lastUsed || stats.mtime.toISOString(),
+      partial: PARTIAL_PATTERN.test(file)
+    });
+  }
+
+  // Index entries whose file was deleted by hand are dropped
+  const present = new Set(listed.map(entry => entry.file));
+  const stale = Object.keys(entries).filter(file => !present.has(file));
+  if (stale.length > 0) {
+    stale.forEach(file => delete entries[file]);
+    await saveCacheIndex(cacheDir);
+  }
+
+  return listed;
+}
+
+/**
+ * Re-hash every complete entry and evict the ones that don't match their name
+ * Returns { valid, corrupt } lists of entries
+ */
+export async function verifyCacheEntries(cacheDir) {
+  const valid = [];
+  const corrupt = [];
+
+  for (const entry of await listCacheEntries(cacheDir)) {
+    if (entry.partial) continue;
+
+    if (!entry.hashType) {
+      corrupt.push({ ...entry, reason: 'unknown hash type' });
+      continue;
+    }
+
+    const hash = crypto.createHash(entry.hashType);
+    for await (const chunk of fs.createReadStream(path.join(cacheDir, entry.file))) {
+      hash.update(chunk);
+    }
+
+    const actual = hash.digest('hex');
+    if (actual === entry.hash) {
+      valid.push(entry);
+    } else {
+      corrupt.push({ ...entry, reason: `${entry.hashType} is ${actual.slice(0, 12)}...` });
+    }
+  }
+
+  await evictCacheEntries(cacheDir, corrupt.map(entry => entry.file));
+
+  return { valid, corrupt };
+}
+
+/**
+ * Collect the mod hashes referenced by pack.json documents
+ */
+export function getReferencedHashes(packs) {
+  const hashes = new Set();
+
+  for (const pack of packs) {
+    for (const mod of pack?.mods || []) {
+      if (mod.sha512) hashes.add(mod.sha512);
+      if (mod.sha1) hashes.add(mod.sha1);
+    }
+  }
+
+  return hashes;
+}
+
+/**
+ * Find entries that can be pruned: partial downloads and mods no pack.json references
+ * Entries of other kinds (such as the Minecraft server jar) are kept, and so are entries
+ * cached before the index recorded kinds until their next use records one
+ */
+export async function findUnreferencedEntries(cacheDir, referencedHashes) {
+  return (await listCacheEntries(cacheDir)).filter(entry =>
+    entry.partial || (entry.kind === 'mod' && !referencedHashes.has(entry.hash))
+  );
+}
+
+/**
+ * Pick the least recently used entries to drop so the rest fit in maxSize
+ * Entries whose file is in keep are never picked
+ */
+export function selectLeastRecentlyUsed(entries, maxSize, keep = new Set()) {
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const selected = [];
+
+  const candidates = entries
+    .filter(entry => !keep.has(entry.file))
+    .sort((a, b) => a.lastUsed.localeCompare(b.lastUsed));
+
+  for (const entry of candidates) {
+    if (total <= maxSize) break;
+    selected.push(entry);
+    total -= entry.size;
+  }
+
+  return selected;
+}
+
+/**
+ * Evict least recently used entries when the cache is over FILE_CACHE_MAX_SIZE
+ * Returns the evicted entries
+ */
+export async function enforceCacheLimit(cacheDir, keep = new Set()) {
+  const maxSize = getCacheLimit();
+  if (!maxSize) {
+    return [];
+  }
+
+  const evicted = selectLeastRecentlyUsed(await listCacheEntries(cacheDir), maxSize, keep);
+  await evictCacheEntries(cacheDir, evicted.map(entry => entry.file));
+  return evicted;
+}
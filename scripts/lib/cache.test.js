@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { parseSize, selectLeastRecentlyUsed, getReferencedHashes, findUnreferencedEntries } from './cache.js';
+
+describe('parseSize', () => {
+  it('parses byte counts and binary units', () => {
+    expect(parseSize('1024')).toBe(1024);
+    expect(parseSize(2048)).toBe(2048);
+    expect(parseSize('1KB')).toBe(1024);
+    expect(parseSize('500 MB')).toBe(500 * 1024 * 1024);
+    expect(parseSize('1.5gb')).toBe(1.5 * 1024 * 1024 * 1024);
+    expect(parseSize(' 2TB ')).toBe(2 * 1024 ** 4);
+  });
+
+  it('rejects anything else', () => {
+    expect(() => parseSize('5 GiB')).toThrow('Invalid size');
+    expect(() => parseSize('-1MB')).toThrow('Invalid size');
+    expect(() => parseSize('')).toThrow('Invalid size');
+  });
+});
+
+describe('selectLeastRecentlyUsed', () => {
+  const entries = [
+    { file: 'a.mod', size: 40, lastUsed: '2025-01-03T00:00:00.000Z' },
+    { file: 'b.mod', size: 30, lastUsed: '2025-01-01T00:00:00.000Z' },
+    { file: 'c.mod', size: 30, lastUsed: '2025-01-02T00:00:00.000Z' }
+  ];
+
+  it('picks the oldest entries until the rest fit', () => {
+    expect(selectLeastRecentlyUsed(entries, 70).map(entry => entry.file)).toEqual(['b.mod']);
+    expect(selectLeastRecentlyUsed(entries, 40).map(entry => entry.file)).toEqual(['b.mod', 'c.mod']);
+  });
+
+  it('picks nothing when the cache fits', () => {
+    expect(selectLeastRecentlyUsed(entries, 100)).toEqual([]);
+  });
+
+  it('never picks kept entries', () => {
+    expect(selectLeastRecentlyUsed(entries, 40, new Set(['b.mod'])).map(entry => entry.file)).toEqual(['c.mod', 'a.mod']);
+  });
+});
+
+describe('findUnreferencedEntries', () => {
+  let cacheDir;
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(cacheDir);
+  });
+
+  it('only picks partial downloads and unreferenced mods', async () => {
+    const hashes = ['a', 'b', 'c', 'd', 'e'].map(char => char.repeat(128));
+    for (const hash of hashes) {
+      await fs.writeFile(path.join(cacheDir, `${hash}.mod`), hash);
+    }
+    await fs.writeFile(path.join(cacheDir, `${'f'.repeat(128)}.mod.part`), 'partial');
+    await fs.writeJSON(path.join(cacheDir, 'index.json'), {
+      [`${hashes[0]}.mod`]: { kind: 'mod' },
+      [`${hashes[1]}.mod`]: { kind: 'mod' },
+      [`${hashes[2]}.mod`]: { kind: 'minecraft-server' }
+      // hashes[3] and hashes[4] were cached before the index recorded kinds
+    });
+
+    const referenced = getReferencedHashes([{ mods: [{ sha512: hashes[0] }, { sha512: hashes[3] }] }]);
+    const unreferenced = await findUnreferencedEntries(cacheDir, referenced);
+
+    expect(unreferenced.map(entry => entry.file)).toEqual([`${hashes[1]}.mod`, `${'f'.repeat(128)}.mod.part`]);
+  });
+});
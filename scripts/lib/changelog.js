@@ -0,0 +1,159 @@
+/**
+ * Mod diff and changelog utilities
+ * Records what each sync changed in CHANGELOG.md and metadata/changelog.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Get a key that stays the same for a mod across updates
+ * Filenames usually change with the version, project ids don't. Mod ids are not used because
+ * they change when sync starts reading them from the jar instead of guessing from the name
+ */
+export function getModKey(mod) {
+  if (mod.modrinth?.modId) return `modrinth:${mod.modrinth.modId}`;
+  if (mod.curseforge?.projectId) return `curseforge:${mod.curseforge.projectId}`;
+  if (mod.sha512) return `sha512:${mod.sha512}`;
+  return `file:${mod.filename.replace(/\.jar(\.disabled)?$/, '')}`;
+}
+
+/**
+ * Check whether a version was actually read from the mod rather than left as "Unknown"
+ */
+function isKnownVersion(version) {
+  return Boolean(version) && version !== 'Unknown';
+}
+
+/**
+ * Get a short human-readable version for a mod
+ */
+function describeVersion(mod) {
+  return isKnownVersion(mod.version) ? mod.version : mod.filename.replace(/\.disabled$/, '');
+}
+
+/**
+ * Summarize a mod for changelog entries
+ */
+function summarizeMod(mod) {
+  return { name: mod.name || mod.filename, modid: mod.modid, version: describeVersion(mod), side: mod.side };
+}
+
+/**
+ * Diff two pack.json documents
+ * Mods are matched by project id (or jar hash), updates are detected by version or sha512
+ */
+export function diffPacks(oldPack, newPack) {
+  const oldMods = new Map((oldPack?.mods || []).map(mod => [getModKey(mod), mod]));
+  const newMods = new Map((newPack.mods || []).map(mod => [getModKey(mod), mod]));
+
+  const diff = { added: [], removed: [], updated: [], sideChanged: [], loader: null };
+
+  // Fall back to the jar hash when a mod only gained or lost its project id
+  const oldKeysByHash = new Map([...oldMods].filter(([, mod]) => mod.sha512).map(([key, mod]) => [mod.sha512, key]));
+  const matchedKeys = new Set();
+
+  for (const [key, mod] of newMods) {
+    const previousKey = oldMods.has(key) ? key : oldKeysByHash.get(mod.sha512);
+    const previous = previousKey && !matchedKeys.has(previousKey) ? oldMods.get(previousKey) : null;
+
+    if (!previous) {
+      diff.added.push(summarizeMod(mod));
+      continue;
+    }
+    matchedKeys.add(previousKey);
+
+    // A version going from Unknown to known only means sync learned to read it
+    const versionChanged = isKnownVersion(previous.version) && isKnownVersion(mod.version) && previous.version !== mod.version;
+    const jarChanged = Boolean(previous.sha512 && mod.sha512) && previous.sha512 !== mod.sha512;
+
+    if (versionChanged || jarChanged) {
+      diff.updated.push({
+        name: mod.name || mod.filename,
+        modid: mod.modid,
+        from: describeVersion(previous),
+        to: describeVersion(mod)
+      });
+    }
+
+    if (previous.side !== mod.side) {
+      diff.sideChanged.push({ name: mod.name || mod.filename, modid: mod.modid, from: previous.side, to: mod.side });
+    }
+  }
+
+  for (const [key, mod] of oldMods) {
+    if (!matchedKeys.has(key)) {
+      diff.removed.push(summarizeMod(mod));
+    }
+  }
+
+  const describeLoader = pack => pack && `Minecraft ${pack.gameVersion}, ${pack.loaderType} ${pack.loaderVersion}`;
+  if (oldPack && describeLoader(oldPack) !== describeLoader(newPack)) {
+    diff.loader = { from: describeLoader(oldPack), to: describeLoader(newPack) };
+  }
+
+  return diff;
+}
+
+/**
+ * Check whether a diff contains any changes
+ */
+export function hasChanges(diff) {
+  return Boolean(diff.loader) ||
+    [diff.added, diff.removed, diff.updated, diff.sideChanged].some(changes => changes.length > 0);
+}
+
+/**
+ * Render a changelog entry as markdown
+ */
+export function renderChangelogEntry(entry) {
+  const { changes } = entry;
+  const lines = [`## ${entry.date.slice(0, 10)} - ${entry.packVersion}`, ''];
+
+  const section = (title, items, format) => {
+    if (items.length === 0) return;
+    lines.push(`### ${title}`, '');
+    items.forEach(item => lines.push(`- ${format(item)}`));
+    lines.push('');
+  };
+
+  if (changes.loader) {
+    lines.push(`- ${changes.loader.from} → ${changes.loader.to}`, '');
+  }
+
+  section('Added', changes.added, mod => `${mod.name} ${mod.version}${mod.side !== 'both' ? ` (${mod.side})` : ''}`);
+  section('Removed', changes.removed, mod => `${mod.name} ${mod.version}`);
+  section('Updated', changes.updated, mod => mod.from === mod.to ? `${mod.name} ${mod.to} (file changed)` : `${mod.name} ${mod.from} → ${mod.to}`);
+  section('Side changes', changes.sideChanged, mod => `${mod.name}: ${mod.from} → ${mod.to}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Record a diff in CHANGELOG.md (newest first) and metadata/changelog.json (in order)
+ */
+export function writeChangelog(rootDir, metadataDir, packData, diff) {
+  const entry = {
+    date: new Date().toISOString(),
+    packVersion: packData.version,
+    gameVersion: packData.gameVersion,
+    loaderType: packData.loaderType,
+    loaderVersion: packData.loaderVersion,
+    changes: diff
+  };
+
+  // Machine-readable history
+  const jsonPath = path.join(metadataDir, 'changelog.json');
+  const history = fs.existsSync(jsonPath) ? JSON.parse(fs.readFileSync(jsonPath, 'utf8')) : { entries: [] };
+  history.entries.push(entry);
+  fs.writeFileSync(jsonPath, JSON.stringify(history, null, 2));
+
+  // Markdown changelog with the newest entry below the title
+  const markdownPath = path.join(rootDir, 'CHANGELOG.md');
+  const title = '# Changelog\n\n';
+  const existing = fs.existsSync(markdownPath) ? fs.readFileSync(markdownPath, 'utf8') : title;
+  const body = existing.startsWith(title) ? existing.slice(title.length) : existing;
+  fs.writeFileSync(markdownPath, `${title}${renderChangelogEntry(entry)}${body ? `\n${body}` : ''}`);
+
+  return entry;
+}
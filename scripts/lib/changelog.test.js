@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { getModKey, diffPacks, hasChanges } from './changelog.js';
+
+const pack = (mods, loaderVersion = '21.1.77') => ({ gameVersion: '1.21.1', loaderType: 'neoforge', loaderVersion, mods });
+
+const mod = (fields) => ({ name: 'Mod', modid: 'mod', version: '1.0', side: 'both', filename: 'mod-1.0.jar', sha512: 'aaa', ...fields });
+
+describe('getModKey', () => {
+  it('prefers project ids, then the jar hash, then the filename stem', () => {
+    expect(getModKey(mod({ modrinth: { modId: 'AANobbMI' } }))).toBe('modrinth:AANobbMI');
+    expect(getModKey(mod({ curseforge: { projectId: 238222 } }))).toBe('curseforge:238222');
+    expect(getModKey(mod({}))).toBe('sha512:aaa');
+    expect(getModKey(mod({ sha512: null, filename: 'mod-1.0.jar.disabled' }))).toBe('file:mod-1.0');
+  });
+});
+
+describe('diffPacks', () => {
+  it('lists added, removed, updated and side changes by project id', () => {
+    const oldPack = pack([
+      mod({ modrinth: { modId: 'a' }, name: 'A', version: '1.0' }),
+      mod({ modrinth: { modId: 'b' }, name: 'B', sha512: 'bbb' }),
+      mod({ modrinth: { modId: 'c' }, name: 'C', sha512: 'ccc' })
+    ]);
+    const newPack = pack([
+      mod({ modrinth: { modId: 'a' }, name: 'A', version: '1.1', sha512: 'aab' }),
+      mod({ modrinth: { modId: 'c' }, name: 'C', sha512: 'ccc', side: 'client' }),
+      mod({ modrinth: { modId: 'd' }, name: 'D', sha512: 'ddd' })
+    ], '21.1.80');
+
+    const diff = diffPacks(oldPack, newPack);
+    expect(diff.added.map(entry => entry.name)).toEqual(['D']);
+    expect(diff.removed.map(entry => entry.name)).toEqual(['B']);
+    expect(diff.updated).toEqual([{ name: 'A', modid: 'mod', from: '1.0', to: '1.1' }]);
+    expect(diff.sideChanged).toEqual([{ name: 'C', modid: 'mod', from: 'both', to: 'client' }]);
+    expect(diff.loader).toEqual({ from: 'Minecraft 1.21.1, neoforge 21.1.77', to: 'Minecraft 1.21.1, neoforge 21.1.80' });
+  });
+
+  it('reports a changed jar with the same version as an update', () => {
+    const diff = diffPacks(pack([mod({ modrinth: { modId: 'a' } })]), pack([mod({ modrinth: { modId: 'a' }, sha512: 'bbb' })]));
+    expect(diff.updated).toEqual([{ name: 'Mod', modid: 'mod', from: '1.0', to: '1.0' }]);
+  });
+
+  it('ignores versions and mod ids that sync only learned to read from the jar', () => {
+    const oldPack = pack([mod({ modid: 'some_mod', version: 'Unknown' })]);
+    const newPack = pack([mod({ modid: 'somemod', version: '2.3.1' })]);
+    expect(hasChanges(diffPacks(oldPack, newPack))).toBe(false);
+  });
+
+  it('matches mods that gained a project id by their jar hash', () => {
+    const diff = diffPacks(pack([mod({})]), pack([mod({ modrinth: { modId: 'a' } })]));
+    expect(hasChanges(diff)).toBe(false);
+  });
+
+  it('treats everything as added without a previous pack', () => {
+    const diff = diffPacks(null, pack([mod({})]));
+    expect(diff.added).toHaveLength(1);
+    expect(diff.loader).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Artifact checksum utilities
+ * Writes .sha256/.sha512 sidecars and a build manifest tying an artifact to its inputs
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { git } from './release.js';
+
+/**
+ * Hash file contents
+ */
+export async function hashFile(filePath, algorithm = 'sha256') {
+  const content = await fs.readFile(filePath);
+  return crypto.createHash(algorithm).update(content).digest('hex');
+}
+
+/**
+ * Serialize JSON with object keys sorted at every level
+ */
+export function stableStringify(value, spaces = 2) {
+  const sortKeys = data => {
+    if (Array.isArray(data)) {
+      return data.map(sortKeys);
+    }
+    if (data && typeof data === 'object') {
+      return Object.fromEntries(Object.keys(data).sort().map(key => [key, sortKeys(data[key])]));
+    }
+    return data;
+  };
+
+  return `${JSON.stringify(sortKeys(value), null, spaces)}\n`;
+}
+
+/**
+ * Get the commit the build was made from
+ * dirty is true when tracked files differ from that commit
+ */
+function getSourceState(rootDir) {
+  try {
+    return {
+      commit: git(rootDir, ['rev-parse', 'HEAD']),
+      dirty: git(rootDir, ['status', '--porcelain', '--untracked-files=no']) !== ''
+    };
+  } catch (error) {
+    return { commit: null, dirty: null };
+  }
+}
+
+/**
+ * Write checksum sidecars and a build manifest next to an artifact
+ * entries are the [{ name, sha256 }] files inside the archive, inputs are paths relative to rootDir
+ */
+export async function recordArtifact(outputPath, entries, { rootDir, inputs = [] }) {
+  const filename = path.basename(outputPath);
+  const checksums = {
+    sha256: await hashFile(outputPath, 'sha256'),
+    sha512: await hashFile(outputPath, 'sha512')
+  };
+
+  // sha256sum/sha512sum compatible sidecars
+  for (const [algorithm, hash] of Object.entries(checksums)) {
+    await fs.writeFile(`${outputPath}.${algorithm}`, `${hash}  ${filename}\n`);
+  }
+
+  const inputHashes = {};
+  for (const input of inputs) {
+    const inputPath = path.join(rootDir, input);
+    if (await fs.pathExists(inputPath)) {
+      inputHashes[input] = await hashFile(inputPath);
+    }
+  }
+
+  const manifest = {
+    artifact: filename,
+    ...checksums,
+    source: getSourceState(rootDir),
+    inputs: inputHashes,
+    files: Object.fromEntries(entries.map(entry => [entry.name, entry.sha256]))
+  };
+
+  const manifestPath = outputPath.replace(/\.(mrpack|zip)$/, '') + '.build.json';
+  await fs.writeFile(manifestPath, stableStringify(manifest));
+
+  console.log(`   🔏 sha256 ${checksums.sha256}`);
+
+  return { ...checksums, manifestPath };
+}
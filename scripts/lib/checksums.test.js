@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { stableStringify } from './checksums.js';
+
+describe('stableStringify', () => {
+  it('sorts keys at every level', () => {
+    const json = stableStringify({ b: 1, a: { d: [{ z: 1, y: 2 }], c: null } });
+    expect(json).toBe('{\n  "a": {\n    "c": null,\n    "d": [\n      {\n        "y": 2,\n        "z": 1\n      }\n    ]\n  },\n  "b": 1\n}\n');
+  });
+
+  it('gives the same output whatever order keys were added in', () => {
+    expect(stableStringify({ x: 1, y: 2 })).toBe(stableStringify({ y: 2, x: 1 }));
+  });
+
+  it('keeps array order', () => {
+    expect(stableStringify([3, 1, 2], 0)).toBe('[3,1,2]\n');
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * CurseForge modpack export utilities
+ * Builds manifest.json, modlist.html and overrides/ from the same metadata as the .mrpack
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { copyOverrides, createZipArchive, isOptionalMod } from './builder.js';
+import { hasCurseForgeSource } from './sources.js';
+import { resolveBundledMods, copyBundledMods } from './bundle.js';
+import { loadSecretRules, secureArtifact } from './secrets.js';
+import { stableStringify } from './checksums.js';
+
+/**
+ * Get CurseForge project/file ids for a mod
+ * Mods installed from Modrinth can be mapped through curseforge.json "mappings"
+ */
+export function getCurseForgeMapping(mod, policy) {
+  if (hasCurseForgeSource(mod)) {
+    return mod.curseforge;
+  }
+
+  const mapping = policy.mappings[mod.modid] || policy.mappings[mod.filename];
+  if (mapping && mapping.projectId && mapping.fileId) {
+    return mapping;
+  }
+
+  return null;
+}
+
+/**
+ * Generate manifest.json content
+ * Server-only mods are left out since the CurseForge app installs every listed file,
+ * disabled and optional mods are listed as not required
+ */
+export function generateCurseForgeManifest(mods, packInfo, policy) {
+  console.log('🔥 Generating CurseForge manifest...');
+
+  const files = [];
+  const mappedMods = [];
+  const unmappedMods = [];
+
+  for (const mod of mods) {
+    if (mod.side === 'server') continue;
+
+    const mapping = getCurseForgeMapping(mod, policy);
+    if (!mapping) {
+      unmappedMods.push(mod);
+      continue;
+    }
+
+    files.push({
+      projectID: Number(mapping.projectId),
+      fileID: Number(mapping.fileId),
+      required: !mod.disabled && !isOptionalMod(mod, packInfo.optionalMods)
+    });
+    mappedMods.push({ mod, mapping });
+  }
+
+  files.sort((a, b) => a.projectID - b.projectID || a.fileID - b.fileID);
+  mappedMods.sort((a, b) => (a.mod.name || a.mod.filename).localeCompare(b.mod.name || b.mod.filename, 'en'));
+
+  console.log(`   Generated ${files.length} CurseForge file entries`);
+
+  const manifest = {
+    minecraft: {
+      version: packInfo.gameVersion,
+      modLoaders: [
+        { id: `${packInfo.loaderType}-${packInfo.loaderVersion}`, primary: true }
+      ]
+    },
+    manifestType: 'minecraftModpack',
+    manifestVersion: 1,
+    name: packInfo.name,
+    version: packInfo.version,
+    author: packInfo.author || '',
+    files,
+    overrides: 'overrides'
+  };
+
+  return { manifest, mappedMods, unmappedMods };
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Generate modlist.html content
+ */
+export function generateModList(mappedMods) {
+  const items = mappedMods.map(({ mod, mapping }) => {
+    const authors = mod.authors?.length ? ` (by ${escapeHtml(mod.authors.join(', '))})` : '';
+    return `<li><a href="https://www.curseforge.com/projects/${mapping.projectId}">${escapeHtml(mod.name || mod.filename)}${authors}</a></li>`;
+  });
+
+  return `<ul>\n${items.join('\n')}\n</ul>\n`;
+}
+
+/**
+ * Apply the unmapped mods policy
+ * "bundle" copies jars into overrides/mods through the bundle.json allowlist, like the .mrpack does,
+ * "report" (the default) leaves every unmapped mod out
+ */
+export async function resolveUnmappedMods(unmappedMods, policy, bundlePolicy, options = {}) {
+  const candidates = unmappedMods.map(mod => ({ mod, reason: 'no CurseForge mapping' }));
+
+  if (policy.unmappedMods !== 'bundle') {
+    return { bundled: [], reported: candidates };
+  }
+
+  const { bundled, excluded } = await resolveBundledMods(candidates, bundlePolicy, options);
+  return { bundled, reported: excluded };
+}
+
+/**
+ * Create CurseForge modpack zip from manifest, mod list and overrides
+ * Returns the archive entries
+ */
+export async function createCurseForgePack({ manifest, modlist, bundled }, metadataDir, outputPath, distDir, sides) {
+  console.log('📦 Creating CurseForge modpack zip...');
+
+  // Create an empty temporary directory for building
+  const tempDir = path.join(distDir, 'temp-curseforge');
+  await fs.emptyDir(tempDir);
+
+  try {
+    console.log('   📝 Writing manifest.json and modlist.html...');
+    await fs.writeFile(path.join(tempDir, 'manifest.json'), stableStringify(manifest));
+    await fs.writeFile(path.join(tempDir, 'modlist.html'), modlist);
+
+    // Copy overrides (the CurseForge app is client-only, so server-only files are left out)
+    await copyOverrides(metadataDir, tempDir, sides, { both: 'overrides', client: 'overrides', server: null });
+
+    // Bundle jars for mods without a CurseForge mapping
+    await copyBundledMods(bundled, path.join(tempDir, 'overrides', 'mods'));
+
+    // Make sure no secrets are shipped
+    await secureArtifact(tempDir, await loadSecretRules(metadataDir), ['overrides']);
+
+    console.log('   🗜️  Compressing CurseForge zip...');
+    return await createZipArchive(tempDir, outputPath);
+  } finally {
+    // Clean up temp directory
+    await fs.remove(tempDir);
+  }
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { computeHashes } from './mods.js';
+import { resolveUnmappedMods } from './curseforge.js';
+
+describe('resolveUnmappedMods', () => {
+  let tempDir;
+  let mod;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'curseforge-test-'));
+    const content = Buffer.from('jar');
+    mod = { modid: 'somemod', filename: 'somemod.jar', license: 'MIT', sha512: computeHashes(content).sha512 };
+    await fs.outputFile(path.join(tempDir, 'minecraft/mods/somemod.jar'), content);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  const bundle = { unmappedMods: 'bundle' };
+
+  it('reports every unmapped mod by default', async () => {
+    const { bundled, reported } = await resolveUnmappedMods([mod], { unmappedMods: 'report' }, { mods: { somemod: { license: 'MIT' } } }, { instancePath: tempDir });
+    expect(bundled).toEqual([]);
+    expect(reported).toEqual([{ mod, reason: 'no CurseForge mapping' }]);
+  });
+
+  it('only bundles jars allowlisted in bundle.json', async () => {
+    const { bundled, reported } = await resolveUnmappedMods([mod], bundle, { mods: {} }, { instancePath: tempDir });
+    expect(bundled).toEqual([]);
+    expect(reported[0].reason).toBe('no CurseForge mapping, not in bundle.json allowlist');
+  });
+
+  it('bundles allowlisted jars that match pack.json', async () => {
+    const { bundled } = await resolveUnmappedMods([mod], bundle, { mods: { somemod: { license: 'MIT' } } }, { instancePath: tempDir });
+    expect(bundled).toEqual([{ mod, jarPath: path.join(tempDir, 'minecraft/mods/somemod.jar'), license: 'MIT' }]);
+  });
+
+  it('refuses jars whose hash does not match pack.json', async () => {
+    const { bundled, reported } = await resolveUnmappedMods([{ ...mod, sha512: 'f'.repeat(128) }], bundle, { mods: { somemod: { license: 'MIT' } } }, { instancePath: tempDir });
+    expect(bundled).toEqual([]);
+    expect(reported[0].reason).toContain('does not match the sha512');
+  });
+});
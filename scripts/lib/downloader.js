@@ -1,50 +1,307 @@
 import fs from 'fs-extra';
 import path from 'path';
 import crypto from 'crypto';
+import { Transform } from 'stream';
+import { fileURLToPath } from 'url';
+import { pipeline } from 'stream/promises';
+import { getModDownloadUrls, getModHash } from './sources.js';
+import { copyAssetsBySide } from './overrides.js';
+import { recordCacheUse, enforceCacheLimit } from './cache.js';
+
+// Attempts per download before giving up, and the first retry delay (doubled each retry)
+const DOWNLOAD_ATTEMPTS = 4;
+const RETRY_BASE_DELAY = 500;
+
+// Abort a download when no data arrives for this long
+const IDLE_TIMEOUT = 30000;
+
+// Parallel downloads, overridable with DOWNLOAD_CONCURRENCY
+const DEFAULT_CONCURRENCY = 6;
 
 /**
- * Download a file with caching based on hash
+ * Error that should not be retried, such as a 404 or a hash mismatch from a stable URL
  */
-export async function downloadWithCache(url, expectedHash, cacheDir, filename, hashType = 'sha512') {
-  const cacheFile = path.join(cacheDir, `${expectedHash}.mod`);
+class PermanentDownloadError extends Error {}
 
-  // Check if file already exists in cache
-  if (await fs.pathExists(cacheFile)) {
-    console.log(`   📋 Using cached: ${filename}`);
-    return cacheFile;
+/**
+ * Wait before the next retry, with jitter so parallel downloads don't retry in lockstep
+ */
+function retryDelay(attempt) {
+  const delay = RETRY_BASE_DELAY * Math.pow(2, attempt - 1);
+  return new Promise(resolve => setTimeout(resolve, delay + Math.random() * delay / 2));
+}
+
+/**
+ * Hash the bytes already in a partial download so a resumed download can be verified
+ */
+async function hashExistingFile(filePath, hash) {
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+}
+
+/**
+ * Copy a local file into partPath, hashing while writing
+ */
+async function copyToFile(filePath, partPath, hashType, onProgress) {
+  if (!await fs.pathExists(filePath)) {
+    throw new PermanentDownloadError('File not found');
+  }
+
+  const hash = crypto.createHash(hashType);
+  const hashing = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      onProgress?.(chunk.length);
+      callback(null, chunk);
+    }
+  });
+
+  await pipeline(fs.createReadStream(filePath), hashing, fs.createWriteStream(partPath));
+
+  return { digest: hash.digest('hex'), resumed: false };
+}
+
+/**
+ * Stream a URL into partPath, hashing while writing
+ * Resumes from an existing partial file with a Range request when the server supports it
+ * Returns { digest, resumed } for the complete file
+ */
+async function streamToFile(url, partPath, hashType, onProgress) {
+  if (url.startsWith('file:')) {
+    return await copyToFile(fileURLToPath(url), partPath, hashType, onProgress);
   }
 
-  console.log(`   ⬇️  Downloading: ${filename}`);
+  const fetch = (await import('node-fetch')).default;
+
+  const existingSize = await fs.pathExists(partPath) ? (await fs.stat(partPath)).size : 0;
+  const controller = new AbortController();
+  let idleTimer = setTimeout(() => controller.abort(), IDLE_TIMEOUT);
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => controller.abort(), IDLE_TIMEOUT);
+  };
 
   try {
-    // Import fetch dynamically since it's ESM
-    const fetch = (await import('node-fetch')).default;
+    const headers = existingSize > 0 ? { Range: `bytes=${existingSize}-` } : {};
+    const response = await fetch(url, { headers, signal: controller.signal });
+
+    if (response.status === 416) {
+      // The partial file is stale or already complete, start over
+      await fs.remove(partPath);
+      throw new Error('HTTP 416: Range Not Satisfiable');
+    }
 
-    const response = await fetch(url);
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const message = `HTTP ${response.status}: ${response.statusText}`;
+      const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      throw retryable ? new Error(message) : new PermanentDownloadError(message);
     }
 
-    const buffer = await response.buffer();
+    const hash = crypto.createHash(hashType);
+    const resumed = response.status === 206 && existingSize > 0;
 
-    // Verify hash if provided
-    if (expectedHash) {
-      const actualHash = crypto.createHash(hashType).update(buffer).digest('hex');
-      if (actualHash !== expectedHash) {
-        throw new Error(`${hashType.toUpperCase()} mismatch for ${filename}. Expected: ${expectedHash}, Got: ${actualHash}`);
+    if (resumed) {
+      await hashExistingFile(partPath, hash);
+      onProgress?.(existingSize);
+    }
+
+    const hashing = new Transform({
+      transform(chunk, encoding, callback) {
+        resetIdleTimer();
+        hash.update(chunk);
+        onProgress?.(chunk.length);
+        callback(null, chunk);
+      }
+    });
+
+    await pipeline(response.body, hashing, fs.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' }));
+
+    return { digest: hash.digest('hex'), resumed };
+  } finally {
+    clearTimeout(idleTimer);
+  }
+}
+
+/**
+ * Download one URL into partFile, retrying transient failures with exponential backoff
+ * Returns the number of bytes written
+ */
+async function downloadWithRetries(url, partFile, expectedHash, filename, hashType, { quiet, onProgress }) {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= DOWNLOAD_ATTEMPTS; attempt++) {
+    let written = 0;
+    const progress = bytes => {
+      written += bytes;
+      onProgress?.(bytes);
+    };
+
+    try {
+      const { digest: actualHash, resumed } = await streamToFile(url, partFile, hashType, progress);
+
+      // Verify hash if provided, a mismatch is only worth retrying when a stale partial file was resumed
+      if (expectedHash && actualHash !== expectedHash) {
+        await fs.remove(partFile);
+        const message = `${hashType.toUpperCase()} mismatch for ${filename}. Expected: ${expectedHash}, Got: ${actualHash}`;
+        throw resumed ? new Error(message) : new PermanentDownloadError(message);
+      }
+
+      return written;
+
+    } catch (error) {
+      lastError = error;
+      // Take back the progress of a failed attempt so totals stay accurate
+      onProgress?.(-written);
+
+      if (error instanceof PermanentDownloadError || attempt === DOWNLOAD_ATTEMPTS) {
+        break;
       }
+
+      if (!quiet) console.log(`   🔁 Retrying ${filename} (${error.name === 'AbortError' ? 'stalled' : error.message}), attempt ${attempt + 1}/${DOWNLOAD_ATTEMPTS}`);
+      await retryDelay(attempt);
     }
+  }
+
+  throw new Error(lastError.name === 'AbortError' ? `no data for ${IDLE_TIMEOUT / 1000}s` : lastError.message);
+}
 
-    // Save to cache
-    await fs.ensureDir(cacheDir);
-    await fs.writeFile(cacheFile, buffer);
+/**
+ * Describe where a URL points for fallback messages
+ */
+function describeUrl(url) {
+  return url.startsWith('file:') ? fileURLToPath(url) : new URL(url).host;
+}
+
+/**
+ * Download a file with caching based on hash
+ * The file is streamed to <hash>.mod.part and renamed once its hash is verified, so an
+ * interrupted download resumes on the next run. Failures are retried with exponential backoff.
+ * urls is one URL or a list tried in order, a source that fails or serves the wrong file
+ * falls back to the next one. file:// URLs are copied from disk.
+ * options.quiet hides per-file output, options.onProgress receives the bytes written,
+ * options.name and options.kind ('mod' by default) are recorded in the cache index
+ */
+export async function downloadWithCache(urls, expectedHash, cacheDir, filename, hashType = 'sha512', options = {}) {
+  const { quiet = false, onProgress, name, kind = 'mod' } = options;
+  const cacheFile = path.join(cacheDir, `${expectedHash}.mod`);
+  const partFile = `${cacheFile}.part`;
+  const candidates = (Array.isArray(urls) ? urls : [urls]).filter(Boolean);
 
-    console.log(`   ✅ Downloaded and cached: ${filename}`);
+  // Check if file already exists in cache
+  if (await fs.pathExists(cacheFile)) {
+    if (!quiet) console.log(`   📋 Using cached: ${filename}`);
+    onProgress?.((await fs.stat(cacheFile)).size);
+    await recordCacheUse(cacheFile, { name, filename, hashType, kind });
     return cacheFile;
+  }
+
+  if (candidates.length === 0) {
+    throw new Error(`No download source for ${filename}`);
+  }
+
+  if (!quiet) console.log(`   ⬇️  Downloading: ${filename}`);
+
+  await fs.ensureDir(cacheDir);
+  const failures = [];
 
-  } catch (error) {
-    throw new Error(`Failed to download ${filename}: ${error.message}`);
+  for (const [index, url] of candidates.entries()) {
+    try {
+      const written = await downloadWithRetries(url, partFile, expectedHash, filename, hashType, { quiet, onProgress });
+
+      await fs.move(partFile, cacheFile, { overwrite: true });
+      await recordCacheUse(cacheFile, { name, filename, url, hashType, kind, size: written });
+
+      if (!quiet) console.log(`   ✅ Downloaded and cached: ${filename}`);
+      return cacheFile;
+
+    } catch (error) {
+      failures.push(candidates.length > 1 ? `${describeUrl(url)}: ${error.message}` : error.message);
+
+      if (!quiet && index < candidates.length - 1) {
+        console.log(`   ↪️  ${filename} failed from ${describeUrl(url)} (${error.message}), trying ${describeUrl(candidates[index + 1])}`);
+      }
+    }
   }
+
+  throw new Error(`Failed to download ${filename}: ${failures.join('; ')}`);
+}
+
+/**
+ * Run worker over items with at most concurrency running at once
+ * Results are returned in item order
+ */
+export async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Get the number of parallel downloads
+ */
+export function getDownloadConcurrency() {
+  const configured = parseInt(process.env.DOWNLOAD_CONCURRENCY, 10);
+  return configured > 0 ? configured : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Combined progress line for parallel downloads
+ * Rewrites one line on a terminal, prints each finished item otherwise
+ */
+function createProgress(total, totalBytes) {
+  const state = { done: 0, bytes: 0 };
+  const interactive = process.stdout.isTTY;
+  let lastRender = 0;
+
+  const render = (force = false) => {
+    if (!interactive) return;
+    const now = Date.now();
+    if (!force && now - lastRender < 100) return;
+    lastRender = now;
+    const percent = totalBytes > 0 ? Math.min(100, Math.round(state.bytes / totalBytes * 100)) : 0;
+    process.stdout.write(`\r   📥 ${state.done}/${total} mods, ${formatMegabytes(state.bytes)}/${formatMegabytes(totalBytes)} MB (${percent}%)   `);
+  };
+
+  return {
+    addBytes(bytes) {
+      state.bytes += bytes;
+      render();
+    },
+    finish(label) {
+      state.done++;
+      if (interactive) {
+        render(true);
+      } else if (label) {
+        console.log(`   [${state.done}/${total}] ${label}`);
+      }
+    },
+    // Print a line without breaking the progress line
+    log(message) {
+      if (interactive) process.stdout.write('\r\x1b[K');
+      console.log(message);
+      render(true);
+    },
+    end() {
+      if (interactive) process.stdout.write('\n');
+    }
+  };
+}
+
+/**
+ * Format bytes as megabytes for the progress line
+ */
+function formatMegabytes(bytes) {
+  return (bytes / 1024 / 1024).toFixed(1);
 }
 
 /**
@@ -59,80 +316,110 @@ export function filterServerMods(mods) {
 
 /**
  * Copy server assets (non-mod files)
+ * Client-only paths such as resource packs, shaders and KubeJS client scripts are skipped
  */
-export async function copyServerAssets(metadataDir, serverDir) {
+export async function copyServerAssets(metadataDir, serverDir, sides) {
   console.log('📁 Copying server assets...');
 
-  const assetDirs = [
-    { source: 'configureddefaults', target: 'configureddefaults' },
-    { source: 'kubejs', target: 'kubejs' },
-    { source: 'datapacks', target: 'datapacks' },
-    // Note: resourcepacks and shaderpacks typically not needed on server
-    // but we can include them for completeness
-    { source: 'resourcepacks', target: 'resourcepacks' },
-    { source: 'shaderpacks', target: 'shaderpacks' }
-  ];
-
-  let copiedCount = 0;
-
-  for (const { source, target } of assetDirs) {
-    const sourcePath = path.join(metadataDir, source);
-    const targetPath = path.join(serverDir, target);
-
-    if (await fs.pathExists(sourcePath)) {
-      await fs.copy(sourcePath, targetPath);
-      console.log(`   ✓ Copied ${source}`);
-      copiedCount++;
+  const counts = await copyAssetsBySide(metadataDir, sides, { both: serverDir, server: serverDir, client: null });
+
+  console.log(`   Copied ${counts.both + counts.server} asset files`);
+}
+
+/**
+ * Find the mods whose jar is not in the download cache
+ */
+export async function findUncachedMods(mods, cacheDir) {
+  const uncached = [];
+  for (const mod of mods) {
+    if (!await fs.pathExists(path.join(cacheDir, `${getModHash(mod).hash}.mod`))) {
+      uncached.push(mod);
     }
   }
-
-  console.log(`   Copied ${copiedCount} asset directories`);
+  return uncached;
 }
 
 /**
  * Download and place mods for server
+ * Mods are downloaded in parallel through the cache with a combined progress display,
+ * trying the sources from sources.json in order
  */
-export async function downloadServerMods(serverMods, cacheDir, serverModsDir) {
-  console.log(`🔽 Downloading ${serverMods.length} server mods...`);
+export async function downloadServerMods(serverMods, cacheDir, serverModsDir, sources) {
+  console.log(`🔽 Downloading ${serverMods.length} server mods (${getDownloadConcurrency()} at a time)...`);
+  return await downloadMods(serverMods, cacheDir, serverModsDir, sources);
+}
+
+/**
+ * Download mods into the cache without placing them anywhere
+ */
+export async function prefetchMods(mods, cacheDir, sources) {
+  console.log(`🔽 Caching ${mods.length} mods (${getDownloadConcurrency()} at a time)...`);
+  return await downloadMods(mods, cacheDir, null, sources);
+}
+
+/**
+ * Download mods in parallel through the cache, copying each jar to modsDir unless it is null
+ */
+async function downloadMods(mods, cacheDir, modsDir, sources) {
+  const concurrency = getDownloadConcurrency();
 
   await fs.ensureDir(cacheDir);
-  await fs.ensureDir(serverModsDir);
+  if (modsDir) await fs.ensureDir(modsDir);
 
   let downloadCount = 0;
   let cacheHitCount = 0;
   const errors = [];
 
-  for (const mod of serverMods) {
+  const totalBytes = mods.reduce((sum, mod) => sum + (mod.size || 0), 0);
+  const progress = createProgress(mods.length, totalBytes);
+
+  await runPool(mods, concurrency, async mod => {
     try {
-      // For disabled mods, download the non-disabled version but save as disabled
-      const isDisabled = mod.filename.endsWith('.disabled');
-      const downloadFilename = isDisabled ? mod.filename.replace('.disabled', '') : mod.filename;
+      // Download URLs from sources.json, Modrinth or CurseForge by default (always uses the non-disabled filename)
+      const downloadUrls = getModDownloadUrls(mod, sources);
+      const { hash, hashType } = getModHash(mod);
 
-      // Download URL from Modrinth (always use non-disabled filename)
-      const downloadUrl = `https://cdn.modrinth.com/data/${mod.modrinth.modId}/versions/${mod.modrinth.version}/${downloadFilename}`;
+      // Check the cache before downloading so hits and misses are counted correctly
+      const wasCached = await fs.pathExists(path.join(cacheDir, `${hash}.mod`));
 
       // Download/get from cache
-      const cachedFile = await downloadWithCache(downloadUrl, mod.sha512, cacheDir, mod.filename);
+      const cachedFile = await downloadWithCache(downloadUrls, hash, cacheDir, mod.filename, hashType, {
+        quiet: true,
+        name: mod.name,
+        onProgress: bytes => progress.addBytes(bytes)
+      });
 
       // Copy to final location (preserve disabled state)
-      const finalPath = path.join(serverModsDir, mod.filename);
-      await fs.copy(cachedFile, finalPath);
+      if (modsDir) {
+        await fs.copy(cachedFile, path.join(modsDir, mod.filename));
+      }
 
-      if (await fs.pathExists(path.join(cacheDir, `${mod.sha512}.mod`))) {
+      if (wasCached) {
         cacheHitCount++;
       } else {
         downloadCount++;
       }
 
+      progress.finish(mod.filename);
+
     } catch (error) {
-      console.error(`   ❌ Failed: ${mod.filename} - ${error.message}`);
+      progress.log(`   ❌ Failed: ${mod.filename} - ${error.message}`);
       errors.push({ mod: mod.filename, error: error.message });
+      progress.finish();
     }
-  }
+  });
 
-  console.log(`   ✅ Successfully processed ${serverMods.length - errors.length} mods`);
+  progress.end();
+
+  console.log(`   ✅ Successfully processed ${mods.length - errors.length} mods`);
   console.log(`   📥 Downloaded: ${downloadCount}, 📋 From cache: ${cacheHitCount}`);
 
+  // Keep the cache under FILE_CACHE_MAX_SIZE without evicting these mods
+  const evicted = await enforceCacheLimit(cacheDir, new Set(mods.map(mod => `${getModHash(mod).hash}.mod`)));
+  if (evicted.length > 0) {
+    console.log(`   🧹 Evicted ${evicted.length} least recently used cache entries`);
+  }
+
   if (errors.length > 0) {
     console.log(`\n⚠️  Failed to download ${errors.length} mods:`);
     errors.forEach(({ mod, error }) => {
@@ -140,5 +427,5 @@ export async function downloadServerMods(serverMods, cacheDir, serverModsDir) {
     });
   }
 
-  return { success: serverMods.length - errors.length, failed: errors.length, errors };
+  return { success: mods.length - errors.length, failed: errors.length, errors };
 }
@@ -5,6 +5,15 @@
 import fs from 'fs';
 import path from 'path';
 
+/**
+ * PrismLauncher component uids for supported mod loaders
+ */
+export const LOADER_UIDS = {
+  neoforge: 'net.neoforged',
+  fabric: 'net.fabricmc.fabric-loader',
+  forge: 'net.minecraftforge'
+};
+
 /**
  * Read and parse mmc-pack.json from instance directory
  */
@@ -28,9 +37,9 @@ export function validateLoader(instanceConfig) {
 
   // Look for supported loaders
   const loaders = {
-    neoforge: components.find(c => c.uid === 'net.neoforged'),
-    fabric: components.find(c => c.uid === 'net.fabricmc.fabric-loader'),
-    forge: components.find(c => c.uid === 'net.minecraftforge')
+    neoforge: components.find(c => c.uid === LOADER_UIDS.neoforge),
+    fabric: components.find(c => c.uid === LOADER_UIDS.fabric),
+    forge: components.find(c => c.uid === LOADER_UIDS.forge)
   };
 
   // Find minecraft version
@@ -59,3 +68,46 @@ export function validateLoader(instanceConfig) {
     minecraft: minecraft.version
   };
 }
+
+/**
+ * Write mmc-pack.json and instance.cfg for a new instance
+ */
+export function writeInstanceConfig(instancePath, packData) {
+  console.log('📋 Writing instance configuration...');
+
+  const loaderUid = LOADER_UIDS[packData.loaderType];
+  if (!loaderUid) {
+    throw new Error(`Unsupported loader type: ${packData.loaderType}`);
+  }
+
+  fs.mkdirSync(instancePath, { recursive: true });
+
+  const mmcPack = {
+    components: [
+      {
+        important: true,
+        uid: 'net.minecraft',
+        version: packData.gameVersion
+      },
+      {
+        uid: loaderUid,
+        version: packData.loaderVersion
+      }
+    ],
+    formatVersion: 1
+  };
+
+  fs.writeFileSync(path.join(instancePath, 'mmc-pack.json'), JSON.stringify(mmcPack, null, 4));
+
+  const instanceCfg = [
+    '[General]',
+    'ConfigVersion=1.2',
+    'InstanceType=OneSix',
+    `name=${packData.name}`,
+    ''
+  ].join('\n');
+
+  fs.writeFileSync(path.join(instancePath, 'instance.cfg'), instanceCfg);
+
+  console.log(`   ✅ Minecraft ${packData.gameVersion} + ${packData.loaderType} ${packData.loaderVersion}`);
+}
@@ -0,0 +1,213 @@
+/**
+ * Jar metadata utilities
+ * Reads mod ids, versions and dependency declarations from inside mod jars
+ */
+
+import AdmZip from 'adm-zip';
+import TOML from '@iarna/toml';
+
+const NEOFORGE_DESCRIPTORS = ['META-INF/neoforge.mods.toml', 'META-INF/mods.toml'];
+const FABRIC_DESCRIPTOR = 'fabric.mod.json';
+const JARJAR_METADATA = 'META-INF/jarjar/metadata.json';
+
+/**
+ * Read mod metadata from a jar file (path or Buffer)
+ * Returns null when the jar has no recognised mod descriptor
+ */
+export function readJarMetadata(jar) {
+  const zip = new AdmZip(jar);
+
+  const metadata = readNeoForgeMetadata(zip) || readFabricMetadata(zip);
+  if (!metadata) {
+    return null;
+  }
+
+  // Mods bundled through jar-in-jar also satisfy dependencies
+  const bundled = readJarJarMods(zip);
+  for (const provided of bundled) {
+    if (!metadata.provides.some(p => p.modId === provided.modId)) {
+      metadata.provides.push(provided);
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Read text content of a zip entry, or null if it doesn't exist
+ */
+function readEntry(zip, entryName) {
+  const entry = zip.getEntry(entryName);
+  if (!entry) {
+    return null;
+  }
+  return entry.getData().toString('utf8');
+}
+
+/**
+ * Read Implementation-Version from META-INF/MANIFEST.MF
+ */
+function readManifestVersion(zip) {
+  const manifest = readEntry(zip, 'META-INF/MANIFEST.MF');
+  if (!manifest) {
+    return null;
+  }
+
+  const match = manifest.match(/^Implementation-Version:\s*(.+)$/m);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Normalize an authors field (string or list) into an array of names
+ */
+function normalizeAuthors(authors) {
+  if (!authors) {
+    return [];
+  }
+
+  const list = Array.isArray(authors) ? authors : String(authors).split(/\s*,\s*(?:and\s+)?|\s+and\s+/);
+
+  return list
+    .map(author => typeof author === 'string' ? author : author?.name)
+    .filter(Boolean)
+    .map(author => author.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read NeoForge (or legacy Forge) mods.toml metadata
+ */
+function readNeoForgeMetadata(zip) {
+  for (const descriptor of NEOFORGE_DESCRIPTORS) {
+    const content = readEntry(zip, descriptor);
+    if (!content) {
+      continue;
+    }
+
+    const parsed = TOML.parse(content);
+    const mods = parsed.mods || [];
+    if (mods.length === 0) {
+      continue;
+    }
+
+    const manifestVersion = readManifestVersion(zip);
+    const resolveVersion = (version) => {
+      if (!version || version === '${file.jarVersion}') {
+        return manifestVersion || null;
+      }
+      return version;
+    };
+
+    const primary = mods[0];
+    const dependencies = (parsed.dependencies?.[primary.modId] || []).map(dep => ({
+      modId: dep.modId,
+      type: dependencyType(dep),
+      versionRange: dep.versionRange || '*',
+      side: (dep.side || 'BOTH').toLowerCase()
+    }));
+
+    return {
+      loader: descriptor.includes('neoforge') ? 'neoforge' : 'forge',
+      modid: primary.modId,
+      name: primary.displayName || null,
+      version: resolveVersion(primary.version),
+      authors: normalizeAuthors(primary.authors),
+      license: parsed.license || null,
+      dependencies,
+      provides: mods.slice(1).map(mod => ({
+        modId: mod.modId,
+        version: resolveVersion(mod.version)
+      }))
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Determine dependency type from a mods.toml dependency entry
+ * Older mods.toml files use `mandatory` instead of `type`
+ */
+function dependencyType(dep) {
+  if (dep.type) {
+    return String(dep.type).toLowerCase();
+  }
+  return dep.mandatory === false ? 'optional' : 'required';
+}
+
+/**
+ * Read Fabric fabric.mod.json metadata
+ */
+function readFabricMetadata(zip) {
+  const content = readEntry(zip, FABRIC_DESCRIPTOR);
+  if (!content) {
+    return null;
+  }
+
+  const parsed = JSON.parse(content);
+
+  const dependencyGroups = [
+    { key: 'depends', type: 'required' },
+    { key: 'recommends', type: 'optional' },
+    { key: 'suggests', type: 'optional' },
+    { key: 'breaks', type: 'incompatible' },
+    { key: 'conflicts', type: 'discouraged' }
+  ];
+
+  const dependencies = [];
+  for (const { key, type } of dependencyGroups) {
+    for (const [modId, range] of Object.entries(parsed[key] || {})) {
+      dependencies.push({
+        modId,
+        type,
+        versionRange: Array.isArray(range) ? range.join(' || ') : range,
+        side: 'both'
+      });
+    }
+  }
+
+  const license = Array.isArray(parsed.license) ? parsed.license.join(', ') : parsed.license;
+
+  return {
+    loader: 'fabric',
+    modid: parsed.id,
+    name: parsed.name || null,
+    version: parsed.version || null,
+    authors: normalizeAuthors(parsed.authors),
+    license: license || null,
+    dependencies,
+    provides: (parsed.provides || []).map(modId => ({ modId, version: parsed.version || null }))
+  };
+}
+
+/**
+ * Read mod ids of jars bundled through NeoForge jar-in-jar
+ */
+function readJarJarMods(zip) {
+  const content = readEntry(zip, JARJAR_METADATA);
+  if (!content) {
+    return [];
+  }
+
+  const provided = [];
+  const { jars = [] } = JSON.parse(content);
+
+  for (const jar of jars) {
+    const entry = zip.getEntry(jar.path);
+    if (!entry) {
+      continue;
+    }
+
+    try {
+      const nested = readJarMetadata(entry.getData());
+      if (nested) {
+        provided.push({ modId: nested.modid, version: nested.version });
+        provided.push(...nested.provides);
+      }
+    } catch (error) {
+      // Bundled libraries without mod metadata are not relevant here
+    }
+  }
+
+  return provided;
+}
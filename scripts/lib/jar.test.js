@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import AdmZip from 'adm-zip';
+import { readJarMetadata } from './jar.js';
+
+const jar = (entries) => {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(entries)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  return zip.toBuffer();
+};
+
+describe('readJarMetadata', () => {
+  it('reads the display name and manifest version from neoforge.mods.toml', () => {
+    const metadata = readJarMetadata(jar({
+      'META-INF/neoforge.mods.toml': [
+        'license = "MIT"',
+        '[[mods]]',
+        'modId = "create"',
+        'displayName = "Create"',
+        'version = "${file.jarVersion}"',
+        '[[dependencies.create]]',
+        'modId = "neoforge"',
+        'type = "required"',
+        'versionRange = "[21.1,)"'
+      ].join('\n'),
+      'META-INF/MANIFEST.MF': 'Implementation-Version: 6.0.4\n'
+    }));
+
+    expect(metadata).toMatchObject({ loader: 'neoforge', modid: 'create', name: 'Create', version: '6.0.4', license: 'MIT' });
+    expect(metadata.dependencies).toEqual([{ modId: 'neoforge', type: 'required', versionRange: '[21.1,)', side: 'both' }]);
+  });
+
+  it('reads the name from fabric.mod.json', () => {
+    const metadata = readJarMetadata(jar({
+      'fabric.mod.json': JSON.stringify({ id: 'sodium', name: 'Sodium', version: '0.6.0', license: 'LGPL-3.0-only' })
+    }));
+
+    expect(metadata).toMatchObject({ loader: 'fabric', modid: 'sodium', name: 'Sodium', version: '0.6.0' });
+  });
+
+  it('leaves the name empty when the descriptor has none', () => {
+    const metadata = readJarMetadata(jar({
+      'META-INF/mods.toml': '[[mods]]\nmodId = "legacy"\nversion = "1.0"\n'
+    }));
+
+    expect(metadata.name).toBe(null);
+    expect(metadata.loader).toBe('forge');
+  });
+
+  it('returns null for jars without a mod descriptor', () => {
+    expect(readJarMetadata(jar({ 'META-INF/MANIFEST.MF': 'Manifest-Version: 1.0\n' }))).toBe(null);
+  });
+});
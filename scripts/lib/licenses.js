@@ -0,0 +1,63 @@
+/**
+ * License classification utilities
+ */
+
+const PERMISSIVE = [
+  'mit', 'apache', 'bsd', 'isc', 'zlib', 'unlicense', 'cc0', 'wtfpl', 'public domain', 'cc-by-4.0', 'cc-by-3.0', 'cc by 4.0'
+];
+
+const COPYLEFT = [
+  'lgpl', 'gpl', 'agpl', 'mpl', 'epl', 'eupl', 'osl', 'cc-by-sa', 'cc by-sa', 'cc by sa'
+];
+
+const ALL_RIGHTS_RESERVED = [
+  'all rights reserved', 'all-rights-reserved', 'arr', 'proprietary'
+];
+
+/**
+ * Check whether a normalized license string mentions any of the given identifiers
+ */
+function mentions(normalized, identifiers) {
+  return identifiers.some(id => {
+    const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z])${escaped}([^a-z]|v\\d|$)`).test(normalized);
+  });
+}
+
+/**
+ * Classify a license string as permissive, copyleft, arr or unknown
+ */
+export function classifyLicense(license) {
+  if (!license) {
+    return 'unknown';
+  }
+
+  const normalized = String(license).toLowerCase().trim();
+
+  // Non-commercial and no-derivatives Creative Commons variants restrict redistribution
+  if (/\b(nc|nd)\b/.test(normalized.replace(/[-_]/g, ' ')) && normalized.includes('cc')) {
+    return 'arr';
+  }
+
+  if (mentions(normalized, ALL_RIGHTS_RESERVED)) {
+    return 'arr';
+  }
+
+  if (mentions(normalized, COPYLEFT)) {
+    return 'copyleft';
+  }
+
+  if (mentions(normalized, PERMISSIVE)) {
+    return 'permissive';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Check whether a license allows redistributing the unmodified jar
+ */
+export function allowsRedistribution(license) {
+  const classification = classifyLicense(license);
+  return classification === 'permissive' || classification === 'copyleft';
+}
@@ -13,8 +13,10 @@ const METADATA_DIR = path.join(__dirname, '../../metadata');
 
 /**
  * Generate and save pack metadata
+ * packInfo can override pack-level fields (name, description, version, author, optionalMods, instanceName)
+ * options.replace starts from an empty pack.json instead of keeping the existing fields
  */
-export async function generateMetadata(instanceConfig, loaderInfo, mods) {
+export async function generateMetadata(instanceConfig, loaderInfo, mods, packInfo = {}, { replace = false } = {}) {
   console.log('📝 Generating metadata...');
   // Ensure metadata directory exists
   if (!fs.existsSync(METADATA_DIR)) {
@@ -25,18 +27,20 @@ export async function generateMetadata(instanceConfig, loaderInfo, mods) {
   const packJsonPath = path.join(METADATA_DIR, 'pack.json');
   let packData = {};
 
-  if (fs.existsSync(packJsonPath)) {
+  if (!replace && fs.existsSync(packJsonPath)) {
     packData = JSON.parse(fs.readFileSync(packJsonPath, 'utf8'));
   }
 
   // Update with scanned data
   const updatedPackData = {
     ...packData,
-    name: packData.name || "GlenCraft: Cog & Mon",
-    description: packData.description || "A comprehensive Minecraft modpack combining Cobblemon with Create mod automation.",
-    version: packData.version || "0.1.0",
+    name: packInfo.name || packData.name || "GlenCraft: Cog & Mon",
+    description: packInfo.description || packData.description || "A comprehensive Minecraft modpack combining Cobblemon with Create mod automation.",
+    version: packInfo.version || packData.version || "0.1.0",
+    author: packInfo.author || packData.author,
+    optionalMods: packInfo.optionalMods || packData.optionalMods,
     scannedAt: new Date().toISOString(),
-    instanceName: path.basename(process.env.MINECRAFT_INSTANCE_PATH),
+    instanceName: packInfo.instanceName || path.basename(process.env.MINECRAFT_INSTANCE_PATH),
     gameVersion: loaderInfo.minecraft,
     loaderType: loaderInfo.loader.type,
     loaderVersion: loaderInfo.loader.version,
@@ -0,0 +1,74 @@
+/**
+ * Modrinth API utilities
+ * Creates versions on the pack's Modrinth project
+ */
+
+import path from 'path';
+
+export const RELEASE_CHANNELS = ['release', 'beta', 'alpha'];
+
+/**
+ * Get the Modrinth API base URL
+ * MODRINTH_API_URL points at staging or a local stand-in
+ */
+export function getModrinthApiUrl() {
+  return (process.env.MODRINTH_API_URL || 'https://api.modrinth.com').replace(/\/+$/, '');
+}
+
+/**
+ * Send a request to the Modrinth API and parse the JSON response
+ */
+async function modrinthRequest(endpoint, { token, method = 'GET', body } = {}) {
+  const fetch = (await import('node-fetch')).default;
+
+  const headers = { 'Accept': 'application/json', 'User-Agent': 'glencraft-modpack-tools' };
+  if (token) headers.Authorization = token;
+
+  const response = await fetch(`${getModrinthApiUrl()}${endpoint}`, { method, headers, body });
+
+  if (!response.ok) {
+    const detail = await response.text();
+    throw new Error(`Modrinth ${method} ${endpoint} failed: HTTP ${response.status} ${detail.slice(0, 300)}`);
+  }
+
+  return response.status === 204 ? null : response.json();
+}
+
+/**
+ * List a project's versions, newest first
+ */
+export async function getProjectVersions(projectId, token) {
+  return modrinthRequest(`/v2/project/${encodeURIComponent(projectId)}/version`, { token });
+}
+
+/**
+ * Build the version data for a new modpack version
+ */
+export function createVersionData({ projectId, packData, version, channel, changelog, filename }) {
+  return {
+    project_id: projectId,
+    name: `${packData.name} ${version}`,
+    version_number: version,
+    changelog,
+    dependencies: [],
+    game_versions: [packData.gameVersion],
+    loaders: [packData.loaderType],
+    version_type: channel,
+    featured: channel === 'release',
+    file_parts: [filename],
+    primary_file: filename
+  };
+}
+
+/**
+ * Create a version and upload the primary file as a multipart request
+ */
+export async function createVersion(versionData, filePath, token) {
+  const { FormData, fileFrom } = await import('node-fetch');
+
+  const form = new FormData();
+  form.set('data', JSON.stringify(versionData));
+  form.set(versionData.primary_file, await fileFrom(filePath, 'application/x-modrinth-modpack+zip'), path.basename(filePath));
+
+  return modrinthRequest('/v2/version', { token, method: 'POST', body: form });
+}
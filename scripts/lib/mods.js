@@ -4,10 +4,23 @@
 
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import TOML from '@iarna/toml';
+import { readJarMetadata } from './jar.js';
+import { getDownloadFilename, getModHash, hasModrinthSource, hasCurseForgeSource } from './sources.js';
 
 /**
- * Scan mods directory and index files, return mods and missing index files
+ * Compute the sha1 and sha512 hashes the mrpack format requires
+ */
+export function computeHashes(content) {
+  return {
+    sha1: crypto.createHash('sha1').update(content).digest('hex'),
+    sha512: crypto.createHash('sha512').update(content).digest('hex')
+  };
+}
+
+/**
+ * Scan mods directory and index files, return mods, missing index files and hash mismatches
  */
 export async function scanModsAndIndex(instancePath) {
   console.log('🔍 Scanning mods and index files...');
@@ -72,17 +85,18 @@ export async function scanModsAndIndex(instancePath) {
   }
 
   if (missingIndexFiles.length > 0) {
-    return { mods: [], missingIndexFiles };
+    return { mods: [], missingIndexFiles, hashMismatches: [] };
   }
 
   // Parse all mod metadata from index files
   const mods = [];
+  const hashMismatches = [];
   for (const [modFile, indexFile] of modToIndex.entries()) {
     const indexFilePath = path.join(instancePath, 'minecraft/mods/.index', indexFile);
     const modPath = path.join(modsPath, modFile);
 
     try {
-      const modMetadata = await parseIndexFile(indexFilePath, modPath);
+      const modMetadata = await parseIndexFile(indexFilePath, modPath, hashMismatches);
       mods.push(modMetadata);
     } catch (error) {
       console.warn(`⚠️  Failed to parse ${indexFile}: ${error.message}`);
@@ -90,7 +104,7 @@ export async function scanModsAndIndex(instancePath) {
   }
 
   console.log(`✅ Successfully parsed ${mods.length} mod entries`);
-  return { mods, missingIndexFiles: [] };
+  return { mods, missingIndexFiles: [], hashMismatches };
 }
 
 /**
@@ -102,52 +116,186 @@ function extractFilenameFromToml(indexFilePath) {
   return parsed.filename || null;
 }
 
+/**
+ * Extract hashes and update sources from parsed .pw.toml data
+ * Shared by PrismLauncher .index files and packwiz metafiles
+ */
+export function parseIndexData(metadata) {
+  // Extract SHA512 (Modrinth) or SHA1 (CurseForge) hash from download section
+  let sha512Hash = null;
+  let sha1Hash = null;
+  if (metadata.download?.hash && metadata.download?.['hash-format'] === 'sha512') {
+    sha512Hash = metadata.download.hash;
+  } else if (metadata.download?.hash && metadata.download?.['hash-format'] === 'sha1') {
+    sha1Hash = metadata.download.hash;
+  }
+
+  // Extract Modrinth metadata from update section
+  let modrinthData = null;
+  if (metadata.update?.modrinth) {
+    modrinthData = {
+      modId: metadata.update.modrinth['mod-id'] || null,
+      version: metadata.update.modrinth.version || null
+    };
+  }
+
+  // Extract CurseForge metadata from update section
+  let curseforgeData = null;
+  if (metadata.update?.curseforge) {
+    curseforgeData = {
+      projectId: metadata.update.curseforge['project-id'] || null,
+      fileId: metadata.update.curseforge['file-id'] || null
+    };
+  }
+
+  return {
+    sha512: sha512Hash,
+    sha1: sha1Hash,
+    modrinth: modrinthData && (modrinthData.modId || modrinthData.version) ? modrinthData : null,
+    curseforge: curseforgeData && (curseforgeData.projectId || curseforgeData.fileId) ? curseforgeData : null
+  };
+}
+
+/**
+ * Add metadata read from inside a jar to a mod entry
+ */
+export function applyJarMetadata(mod, jarMetadata) {
+  mod.loader = jarMetadata.loader;
+  mod.authors = jarMetadata.authors;
+  mod.license = jarMetadata.license;
+  mod.dependencies = jarMetadata.dependencies;
+  if (jarMetadata.provides.length > 0) {
+    mod.provides = jarMetadata.provides;
+  }
+}
+
 /**
  * Parse mod metadata from index file and mod file
+ * Hashes come from the jar itself; index hashes that disagree are added to hashMismatches
  */
-async function parseIndexFile(indexFilePath, modPath) {
+async function parseIndexFile(indexFilePath, modPath, hashMismatches = []) {
   const indexContent = fs.readFileSync(indexFilePath, 'utf8');
   const modStats = fs.statSync(modPath);
 
   // Parse TOML content
   const metadata = TOML.parse(indexContent);
+  const indexData = parseIndexData(metadata);
 
   // Check if mod is disabled
   const filename = path.basename(modPath);
   const isDisabled = filename.endsWith('.disabled');
 
-  // Extract SHA512 hash from download section
-  let sha512Hash = null;
-  if (metadata.download?.hash && metadata.download?.['hash-format'] === 'sha512') {
-    sha512Hash = metadata.download.hash;
+  // Verify index hashes against the jar on disk
+  const hashes = computeHashes(fs.readFileSync(modPath));
+  for (const hashType of ['sha1', 'sha512']) {
+    if (indexData[hashType] && indexData[hashType] !== hashes[hashType]) {
+      hashMismatches.push(`${filename} (${hashType}: index ${indexData[hashType].slice(0, 12)}…, jar ${hashes[hashType].slice(0, 12)}…)`);
+    }
   }
 
-  // Extract Modrinth metadata from update section
-  let modrinthData = null;
-  if (metadata.update?.modrinth) {
-    modrinthData = {
-      modId: metadata.update.modrinth['mod-id'] || null,
-      version: metadata.update.modrinth.version || null
-    };
+  // Read real mod id, version and dependencies from inside the jar
+  let jarMetadata = null;
+  try {
+    jarMetadata = readJarMetadata(modPath);
+  } catch (error) {
+    console.warn(`⚠️  Failed to read jar metadata from ${filename}: ${error.message}`);
+  }
+
+  if (!jarMetadata) {
+    console.warn(`⚠️  No mod metadata found inside ${filename}, falling back to index data`);
   }
 
   const result = {
     filename: filename,
     name: metadata.name || 'Unknown',
-    version: metadata.version || 'Unknown',
-    modid: metadata.modid || metadata.name?.toLowerCase().replace(/[^a-z0-9]/g, '_') || 'unknown',
+    version: jarMetadata?.version || metadata.version || 'Unknown',
+    modid: jarMetadata?.modid || metadata.modid || metadata.name?.toLowerCase().replace(/[^a-z0-9]/g, '_') || 'unknown',
     side: metadata.side || 'both',
-    url: metadata.url || null,
-    sha512: sha512Hash,
+    // Mods without an update source are only downloadable from their direct URL
+    url: metadata.url || (indexData.modrinth || indexData.curseforge ? null : metadata.download?.url) || null,
+    sha512: hashes.sha512,
+    sha1: hashes.sha1,
     size: modStats.size,
     lastModified: modStats.mtime.toISOString(),
     disabled: isDisabled
   };
 
+  // Add jar metadata if available
+  if (jarMetadata) {
+    applyJarMetadata(result, jarMetadata);
+  }
+
   // Add Modrinth data if available
-  if (modrinthData && (modrinthData.modId || modrinthData.version)) {
-    result.modrinth = modrinthData;
+  if (indexData.modrinth) {
+    result.modrinth = indexData.modrinth;
+  }
+
+  // Add CurseForge data if available
+  if (indexData.curseforge) {
+    result.curseforge = indexData.curseforge;
   }
 
   return result;
 }
+
+/**
+ * Get the .pw.toml filename used for a mod, named after the jar when the mod id is unknown
+ */
+export function getIndexFilename(mod) {
+  const name = mod.modid || getDownloadFilename(mod).replace(/\.jar$/, '');
+  return `${name.replace(/[^a-z0-9_-]/gi, '-')}.pw.toml`;
+}
+
+/**
+ * Build .pw.toml data for a mod (reverse of parseIndexData)
+ */
+export function createIndexData(mod, downloadUrl) {
+  const { hash, hashType } = getModHash(mod);
+
+  const indexData = {
+    filename: getDownloadFilename(mod),
+    name: mod.name,
+    side: mod.side || 'both',
+    download: {
+      hash: hash,
+      'hash-format': hashType,
+      mode: 'url',
+      url: downloadUrl || ''
+    }
+  };
+
+  if (hasModrinthSource(mod)) {
+    indexData.update = {
+      modrinth: {
+        'mod-id': mod.modrinth.modId,
+        version: mod.modrinth.version
+      }
+    };
+  } else if (hasCurseForgeSource(mod)) {
+    indexData.update = {
+      curseforge: {
+        'file-id': mod.curseforge.fileId,
+        'project-id': mod.curseforge.projectId
+      }
+    };
+  }
+
+  return indexData;
+}
+
+/**
+ * Write a PrismLauncher .index/*.pw.toml file for a mod (reverse of parseIndexFile)
+ */
+export function writeIndexFile(mod, indexPath, packData, downloadUrl) {
+  const indexData = {
+    ...createIndexData(mod, downloadUrl),
+    'x-prismlauncher-loaders': [packData.loaderType],
+    'x-prismlauncher-mc-versions': [packData.gameVersion]
+  };
+
+  const indexFile = getIndexFilename(mod);
+  fs.mkdirSync(indexPath, { recursive: true });
+  fs.writeFileSync(path.join(indexPath, indexFile), TOML.stringify(indexData));
+
+  return indexFile;
+}
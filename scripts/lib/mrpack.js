@@ -0,0 +1,333 @@
+/**
+ * Modrinth .mrpack format utilities
+ * Validates modrinth.index.json and turns a published pack back into pack.json mod entries and assets
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { readJarMetadata } from './jar.js';
+import { downloadWithCache } from './downloader.js';
+import { applyJarMetadata } from './mods.js';
+
+// Keys used in modrinth.index.json dependencies, mapped to pack.json loader types
+const LOADER_KEYS = {
+  'neoforge': 'neoforge',
+  'forge': 'forge',
+  'fabric-loader': 'fabric',
+  'quilt-loader': 'quilt'
+};
+
+const ENV_VALUES = ['required', 'optional', 'unsupported'];
+const REQUIRED_HASHES = { sha1: 40, sha512: 128 };
+
+// Download hosts Modrinth accepts for packs uploaded to the platform
+const ALLOWED_DOWNLOAD_HOSTS = ['cdn.modrinth.com', 'github.com', 'raw.githubusercontent.com', 'gitlab.com'];
+
+/**
+ * Get the modrinth.index.json dependency key for a pack.json loader type
+ */
+export function getLoaderKey(loaderType) {
+  const key = Object.keys(LOADER_KEYS).find(indexKey => LOADER_KEYS[indexKey] === loaderType);
+  if (!key) {
+    throw new Error(`Unsupported loader type for .mrpack: ${loaderType}`);
+  }
+  return key;
+}
+
+/**
+ * Check that a file path stays inside the instance directory
+ */
+function isSafePath(filePath) {
+  if (typeof filePath !== 'string' || filePath === '') return false;
+  if (filePath.includes('\\')) return false;
+  if (filePath.startsWith('/') || /^[a-zA-Z]:/.test(filePath)) return false;
+  return !filePath.split('/').some(segment => segment === '..' || segment === '');
+}
+
+/**
+ * Validate modrinth.index.json against the mrpack format
+ * Errors make launchers reject the pack, warnings only matter for uploads to Modrinth
+ */
+export function validateModrinthIndex(index) {
+  const errors = [];
+  const warnings = [];
+
+  if (index.formatVersion !== 1) errors.push(`formatVersion must be 1 (got ${index.formatVersion})`);
+  if (index.game !== 'minecraft') errors.push(`game must be "minecraft" (got ${index.game})`);
+  if (!index.versionId) errors.push('versionId is required');
+  if (!index.name) errors.push('name is required');
+
+  // Dependencies
+  const dependencies = index.dependencies || {};
+  if (!dependencies.minecraft) {
+    errors.push('dependencies.minecraft is required');
+  }
+  for (const [key, value] of Object.entries(dependencies)) {
+    if (key !== 'minecraft' && !LOADER_KEYS[key]) {
+      errors.push(`dependencies: unknown key "${key}" (allowed: minecraft, ${Object.keys(LOADER_KEYS).join(', ')})`);
+    }
+    if (typeof value !== 'string' || value === '') {
+      errors.push(`dependencies.${key} must be a version string`);
+    }
+  }
+
+  // Files
+  const seenPaths = new Set();
+  for (const file of index.files || []) {
+    const label = file.path || '(no path)';
+
+    if (!isSafePath(file.path)) {
+      errors.push(`${label}: path must be relative and stay inside the instance`);
+    }
+    if (seenPaths.has(file.path)) {
+      errors.push(`${label}: duplicate path`);
+    }
+    seenPaths.add(file.path);
+
+    for (const [hashType, length] of Object.entries(REQUIRED_HASHES)) {
+      const hash = file.hashes?.[hashType];
+      if (!hash) {
+        errors.push(`${label}: missing ${hashType} hash`);
+      } else if (!new RegExp(`^[0-9a-f]{${length}}$`).test(hash)) {
+        errors.push(`${label}: invalid ${hashType} hash`);
+      }
+    }
+
+    if (file.env) {
+      for (const side of ['client', 'server']) {
+        if (!ENV_VALUES.includes(file.env[side])) {
+          errors.push(`${label}: env.${side} must be one of ${ENV_VALUES.join(', ')} (got ${file.env[side]})`);
+        }
+      }
+    }
+
+    if (!Array.isArray(file.downloads) || file.downloads.length === 0) {
+      errors.push(`${label}: at least one download URL is required`);
+    } else {
+      for (const url of file.downloads) {
+        let host = null;
+        try {
+          const parsed = new URL(url);
+          host = parsed.protocol === 'https:' ? parsed.hostname : null;
+        } catch (error) {
+          // Reported below
+        }
+
+        if (!host) {
+          errors.push(`${label}: invalid download URL ${url}`);
+        } else if (!ALLOWED_DOWNLOAD_HOSTS.includes(host)) {
+          warnings.push(`${label}: ${host} is not an allowed host for packs uploaded to Modrinth`);
+        }
+      }
+    }
+
+    if (!Number.isInteger(file.fileSize) || file.fileSize < 0) {
+      errors.push(`${label}: fileSize must be a non-negative integer`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Open a .mrpack file and parse its modrinth.index.json
+ */
+export async function readMrpack(mrpackPath) {
+  console.log(`📦 Reading ${path.basename(mrpackPath)}...`);
+
+  if (!await fs.pathExists(mrpackPath)) {
+    throw new Error(`File not found: ${mrpackPath}`);
+  }
+
+  const zip = new AdmZip(mrpackPath);
+  const indexEntry = zip.getEntry('modrinth.index.json');
+  if (!indexEntry) {
+    throw new Error('modrinth.index.json not found in .mrpack');
+  }
+
+  const index = JSON.parse(indexEntry.getData().toString('utf8'));
+
+  if (index.formatVersion !== 1 || index.game !== 'minecraft') {
+    throw new Error(`Unsupported mrpack format (formatVersion ${index.formatVersion}, game ${index.game})`);
+  }
+
+  console.log(`   Found ${index.files.length} files in index`);
+
+  return { zip, index };
+}
+
+/**
+ * Extract pack-level information and loader details from the index
+ */
+export function getPackInfo(index) {
+  const dependencies = index.dependencies || {};
+  const loaderKey = Object.keys(LOADER_KEYS).find(key => dependencies[key]);
+
+  if (!dependencies.minecraft) {
+    throw new Error('No Minecraft version found in modrinth.index.json');
+  }
+
+  if (!loaderKey) {
+    throw new Error('No supported mod loader found in modrinth.index.json');
+  }
+
+  return {
+    name: index.name,
+    description: index.summary,
+    version: index.versionId,
+    loaderInfo: {
+      minecraft: dependencies.minecraft,
+      loader: { type: LOADER_KEYS[loaderKey], version: dependencies[loaderKey] }
+    }
+  };
+}
+
+/**
+ * Recognise Modrinth and CurseForge CDN URLs
+ * CurseForge URLs only carry the file id, resolveCurseForgeProjects fills in the project
+ */
+export function parseDownloadUrl(url) {
+  const modrinth = url.match(/^https:\/\/cdn\.modrinth\.com\/data\/([^/]+)\/versions\/([^/]+)\//);
+  if (modrinth) {
+    return { modrinth: { modId: modrinth[1], version: modrinth[2] } };
+  }
+
+  const curseforge = url.match(/^https:\/\/(?:edge|mediafilez)\.forgecdn\.net\/files\/(\d+)\/(\d+)\//);
+  if (curseforge) {
+    // The project id isn't part of the URL
+    return { curseforge: { projectId: null, fileId: parseInt(curseforge[1], 10) * 1000 + parseInt(curseforge[2], 10) } };
+  }
+
+  return {};
+}
+
+/**
+ * Convert an index env object into a pack.json side
+ */
+function envToSide(env) {
+  if (!env) {
+    return 'both';
+  }
+
+  const client = env.client !== 'unsupported';
+  const server = env.server !== 'unsupported';
+
+  if (client && !server) return 'client';
+  if (server && !client) return 'server';
+  return 'both';
+}
+
+/**
+ * Download a file entry through the cache, trying each listed URL
+ */
+async function downloadIndexFile(file, cacheDir) {
+  const filename = path.posix.basename(file.path);
+  let lastError = null;
+
+  for (const url of file.downloads) {
+    try {
+      return await downloadWithCache(url, file.hashes.sha512, cacheDir, filename);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error(`No download URLs for ${filename}`);
+}
+
+/**
+ * Convert index files under mods/ into pack.json mod entries
+ * With download enabled, jars are fetched into the cache and read for real metadata
+ */
+export async function importIndexFiles(index, { cacheDir, download = true } = {}) {
+  console.log('🔍 Importing mods from index...');
+
+  const mods = [];
+  const skipped = [];
+
+  for (const file of index.files) {
+    if (!file.path.startsWith('mods/') || !/\.jar(\.disabled)?$/.test(file.path)) {
+      skipped.push(file.path);
+      continue;
+    }
+
+    const filename = path.posix.basename(file.path);
+    const source = parseDownloadUrl(file.downloads[0] || '');
+
+    let jarMetadata = null;
+    if (download) {
+      try {
+        const jarPath = await downloadIndexFile(file, cacheDir);
+        jarMetadata = readJarMetadata(jarPath);
+      } catch (error) {
+        console.warn(`⚠️  Failed to read ${filename}: ${error.message}`);
+      }
+    }
+
+    const mod = {
+      filename,
+      name: jarMetadata?.name || filename.replace(/\.jar(\.disabled)?$/, ''),
+      version: jarMetadata?.version || 'Unknown',
+      modid: jarMetadata?.modid || filename.replace(/\.jar(\.disabled)?$/, '').toLowerCase().replace(/[^a-z0-9]/g, '_'),
+      side: envToSide(file.env),
+      // Files on other hosts (GitHub releases and the like) keep their URL as the download source
+      url: source.modrinth || source.curseforge ? null : (file.downloads[0] || null),
+      sha512: file.hashes.sha512 || null,
+      sha1: file.hashes.sha1 || null,
+      size: file.fileSize,
+      lastModified: null,
+      disabled: filename.endsWith('.disabled')
+    };
+
+    if (jarMetadata) {
+      applyJarMetadata(mod, jarMetadata);
+    }
+
+    Object.assign(mod, source);
+    mods.push(mod);
+  }
+
+  console.log(`✅ Imported ${mods.length} mod entries`);
+
+  return { mods, skipped };
+}
+
+/**
+ * Extract overrides into an instance-shaped directory (<dir>/minecraft/...)
+ * client-overrides are applied on top of overrides, as a client launcher would
+ */
+export async function extractOverrides(zip, instanceDir) {
+  const minecraftDir = path.join(instanceDir, 'minecraft');
+  await fs.ensureDir(minecraftDir);
+
+  const layers = ['overrides/', 'client-overrides/'];
+
+  for (const prefix of layers) {
+    for (const entry of zip.getEntries()) {
+      if (entry.isDirectory || !entry.entryName.startsWith(prefix)) {
+        continue;
+      }
+
+      const relativePath = entry.entryName.slice(prefix.length);
+      const targetPath = path.join(minecraftDir, relativePath);
+
+      // Never write outside the target directory
+      if (!targetPath.startsWith(minecraftDir + path.sep)) {
+        throw new Error(`Unsafe path in .mrpack: ${entry.entryName}`);
+      }
+
+      await fs.outputFile(targetPath, entry.getData());
+    }
+  }
+
+  // The pack icon lives at the archive root
+  const icon = zip.getEntry('icon.png');
+  if (icon) {
+    await fs.outputFile(path.join(minecraftDir, 'icon.png'), icon.getData());
+  }
+
+  if (zip.getEntries().some(entry => entry.entryName.startsWith('server-overrides/'))) {
+    console.log('   ℹ️  server-overrides/ found but not imported (metadata mirrors the client)');
+  }
+}
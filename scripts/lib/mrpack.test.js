@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import AdmZip from 'adm-zip';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { validateModrinthIndex, getLoaderKey, parseDownloadUrl, importIndexFiles } from './mrpack.js';
+import { computeHashes } from './mods.js';
+
+const file = (fields = {}) => ({
+  path: 'mods/create.jar',
+  hashes: { sha1: 'a'.repeat(40), sha512: 'b'.repeat(128) },
+  env: { client: 'required', server: 'required' },
+  downloads: ['https://cdn.modrinth.com/data/LNytGWDc/versions/abc/create.jar'],
+  fileSize: 1024,
+  ...fields
+});
+
+const index = (fields = {}) => ({
+  formatVersion: 1,
+  game: 'minecraft',
+  versionId: '1.0.0',
+  name: 'Pack',
+  dependencies: { minecraft: '1.21.1', neoforge: '21.1.77' },
+  files: [file()],
+  ...fields
+});
+
+describe('validateModrinthIndex', () => {
+  it('accepts a valid index', () => {
+    expect(validateModrinthIndex(index())).toEqual({ errors: [], warnings: [] });
+  });
+
+  it('checks the top-level fields and dependencies', () => {
+    const { errors } = validateModrinthIndex(index({
+      formatVersion: 2,
+      game: 'terraria',
+      versionId: '',
+      name: undefined,
+      dependencies: { 'neoforge': '', 'liteloader': '1.0' }
+    }));
+    expect(errors).toEqual([
+      'formatVersion must be 1 (got 2)',
+      'game must be "minecraft" (got terraria)',
+      'versionId is required',
+      'name is required',
+      'dependencies.minecraft is required',
+      'dependencies.neoforge must be a version string',
+      'dependencies: unknown key "liteloader" (allowed: minecraft, neoforge, forge, fabric-loader, quilt-loader)'
+    ]);
+  });
+
+  it('rejects paths that leave the instance and duplicate paths', () => {
+    const paths = ['../evil.jar', '/etc/passwd', 'C:/evil.jar', 'mods\\evil.jar', 'mods//evil.jar', 'mods/a.jar', 'mods/a.jar'];
+    const { errors } = validateModrinthIndex(index({ files: paths.map(path => file({ path })) }));
+    expect(errors.filter(error => error.includes('stay inside the instance'))).toHaveLength(5);
+    expect(errors).toContain('mods/a.jar: duplicate path');
+  });
+
+  it('requires valid sha1 and sha512 hashes', () => {
+    const { errors } = validateModrinthIndex(index({ files: [file({ hashes: { sha1: 'xyz' } })] }));
+    expect(errors).toEqual(['mods/create.jar: invalid sha1 hash', 'mods/create.jar: missing sha512 hash']);
+  });
+
+  it('checks env values, download URLs and file sizes', () => {
+    const { errors } = validateModrinthIndex(index({
+      files: [file({ env: { client: 'required', server: 'maybe' }, downloads: ['http://cdn.modrinth.com/a.jar'], fileSize: -1 })]
+    }));
+    expect(errors).toEqual([
+      'mods/create.jar: env.server must be one of required, optional, unsupported (got maybe)',
+      'mods/create.jar: invalid download URL http://cdn.modrinth.com/a.jar',
+      'mods/create.jar: fileSize must be a non-negative integer'
+    ]);
+
+    expect(validateModrinthIndex(index({ files: [file({ downloads: [] })] })).errors)
+      .toEqual(['mods/create.jar: at least one download URL is required']);
+  });
+
+  it('warns about hosts Modrinth does not accept for uploads', () => {
+    const { errors, warnings } = validateModrinthIndex(index({
+      files: [file({ downloads: ['https://mirror.example.com/create.jar', 'https://github.com/a/b/create.jar'] })]
+    }));
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual(['mods/create.jar: mirror.example.com is not an allowed host for packs uploaded to Modrinth']);
+  });
+});
+
+describe('getLoaderKey', () => {
+  it('maps pack.json loader types to index keys', () => {
+    expect(getLoaderKey('fabric')).toBe('fabric-loader');
+    expect(getLoaderKey('neoforge')).toBe('neoforge');
+    expect(() => getLoaderKey('rift')).toThrow('Unsupported loader type');
+  });
+});
+
+describe('parseDownloadUrl', () => {
+  it('reads Modrinth project and version ids', () => {
+    expect(parseDownloadUrl('https://cdn.modrinth.com/data/LNytGWDc/versions/abc/create.jar'))
+      .toEqual({ modrinth: { modId: 'LNytGWDc', version: 'abc' } });
+  });
+
+  it('rebuilds CurseForge file ids from the CDN path', () => {
+    expect(parseDownloadUrl('https://edge.forgecdn.net/files/5012/7/a.jar'))
+      .toEqual({ curseforge: { projectId: null, fileId: 5012007 } });
+  });
+
+  it('leaves other hosts to the direct URL', () => {
+    expect(parseDownloadUrl('https://github.com/a/b/releases/download/1.0/b.jar')).toEqual({});
+  });
+});
+
+describe('importIndexFiles', () => {
+  it('names mods after the display name inside the jar', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrpack-import-'));
+    try {
+      const zip = new AdmZip();
+      zip.addFile('META-INF/neoforge.mods.toml', Buffer.from('[[mods]]\nmodId = "create"\ndisplayName = "Create"\nversion = "6.0.4"\n'));
+      const content = zip.toBuffer();
+      const jarPath = path.join(tempDir, 'create-6.0.4.jar');
+      await fs.writeFile(jarPath, content);
+      const hashes = computeHashes(content);
+
+      const { mods } = await importIndexFiles(index({
+        files: [file({ path: 'mods/create-6.0.4.jar', hashes, downloads: [pathToFileURL(jarPath).href] })]
+      }), { cacheDir: path.join(tempDir, 'cache') });
+
+      expect(mods[0]).toMatchObject({ name: 'Create', modid: 'create', version: '6.0.4' });
+    } finally {
+      await fs.remove(tempDir);
+    }
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Side-aware override utilities
+ * Decides whether each asset file belongs to the client, the server or both
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { loadInstanceAssets } from './sync-rules.js';
+
+// Paths that only matter on one side, anything not listed goes to both
+export const DEFAULT_OVERRIDE_SIDES = {
+  'kubejs/assets': 'client',
+  'kubejs/client_scripts': 'client',
+  'kubejs/config/client.json': 'client',
+  'kubejs/config/web_server.json': 'server',
+  'resourcepacks': 'client',
+  'shaderpacks': 'client'
+};
+
+const SIDES = ['both', 'client', 'server'];
+
+/**
+ * Get the side policy for a pack
+ * pack.json "overrideSides" adds to or replaces the defaults per path
+ */
+export function getOverrideSides(packData = {}) {
+  const sides = { ...DEFAULT_OVERRIDE_SIDES, ...packData.overrideSides };
+
+  for (const [overridePath, side] of Object.entries(sides)) {
+    if (!SIDES.includes(side)) {
+      throw new Error(`Invalid side "${side}" for ${overridePath} in overrideSides (expected ${SIDES.join(', ')})`);
+    }
+  }
+
+  return sides;
+}
+
+/**
+ * Get the side for a posix-relative asset path using the most specific matching entry
+ */
+export function getOverrideSide(filePath, sides) {
+  let match = null;
+
+  for (const overridePath of Object.keys(sides)) {
+    const matches = filePath === overridePath || filePath.startsWith(`${overridePath}/`);
+    if (matches && (!match || overridePath.length > match.length)) {
+      match = overridePath;
+    }
+  }
+
+  return match ? sides[match] : 'both';
+}
+
+/**
+ * List all files in a directory recursively as posix-relative paths
+ */
+export async function listFiles(dir, relativePath = '') {
+  const files = [];
+  const entries = await fs.readdir(path.join(dir, relativePath), { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryPath = path.posix.join(relativePath, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, entryPath));
+    } else {
+      files.push(entryPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Get the asset directories shipped as overrides, relative to metadata/
+ */
+export function getOverrideSources(metadataDir) {
+  return loadInstanceAssets(metadataDir)
+    .filter(asset => asset.type === 'directory')
+    .map(asset => asset.targetPath);
+}
+
+/**
+ * Copy override sources into per-side target directories
+ * targets maps 'both', 'client' and 'server' to a directory, or null to skip that side
+ * Returns the number of files copied per side
+ */
+export async function copyAssetsBySide(metadataDir, sides, targets) {
+  const counts = { both: 0, client: 0, server: 0 };
+
+  for (const source of getOverrideSources(metadataDir)) {
+    if (!await fs.pathExists(path.join(metadataDir, source))) {
+      continue;
+    }
+
+    for (const file of await listFiles(metadataDir, source)) {
+      const side = getOverrideSide(file, sides);
+      if (!targets[side]) {
+        continue;
+      }
+
+      await fs.copy(path.join(metadataDir, file), path.join(targets[side], file));
+      counts[side]++;
+    }
+  }
+
+  return counts;
+}
@@ -0,0 +1,283 @@
+/**
+ * packwiz repository utilities
+ * Writes pack.toml, index.toml and per-mod .pw.toml files from pack.json, and reads them back
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import TOML from '@iarna/toml';
+import { isOptionalMod } from './builder.js';
+import { listFiles } from './overrides.js';
+import { loadInstanceAssets } from './sync-rules.js';
+import { createIndexData, getIndexFilename, parseIndexData } from './mods.js';
+import { getDownloadFilename, getModDownloadUrl, hasModrinthSource, hasCurseForgeSource } from './sources.js';
+import { loadSecretRules, secureArtifact } from './secrets.js';
+
+const PACK_FORMAT = 'packwiz:1.1.0';
+const INDEX_HASH_FORMAT = 'sha256';
+
+/**
+ * Hash a file for index.toml
+ */
+async function hashFile(filePath) {
+  const content = await fs.readFile(filePath);
+  return crypto.createHash(INDEX_HASH_FORMAT).update(content).digest('hex');
+}
+
+/**
+ * Resolve a path from a packwiz file, refusing paths that leave the repository
+ */
+function resolvePackwizPath(packwizDir, file) {
+  const root = path.resolve(packwizDir);
+  const resolved = path.resolve(root, String(file));
+
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error(`Unsafe path in packwiz repository: ${file}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Build packwiz metafile data for a mod
+ * CurseForge-only mods use metadata mode so packwiz-installer resolves them through the API
+ */
+function createMetafileData(mod, optionalMods) {
+  const metafile = createIndexData(mod, getModDownloadUrl(mod));
+
+  if (!hasModrinthSource(mod) && hasCurseForgeSource(mod)) {
+    delete metafile.download.url;
+    metafile.download.mode = 'metadata:curseforge';
+  }
+
+  // Disabled mods become optional and off by default, optional mods default to on.
+  // packwiz has no disabled state, so it is recorded separately for import
+  if (mod.disabled) {
+    metafile.disabled = true;
+    metafile.option = { optional: true, default: false };
+  } else if (isOptionalMod(mod, optionalMods)) {
+    metafile.option = { optional: true, default: true };
+  }
+
+  return metafile;
+}
+
+/**
+ * Pick a metafile name no other mod in the export uses
+ * Mods sharing a mod id, or without one, get the jar's filename stem added
+ */
+function getMetafileName(mod, usedNames) {
+  const stem = getDownloadFilename(mod).replace(/\.jar$/, '');
+  const candidates = [
+    mod.modid ? getIndexFilename(mod) : null,
+    getIndexFilename({ modid: mod.modid ? `${mod.modid}-${stem}` : stem })
+  ].filter(Boolean);
+
+  const name = candidates.find(candidate => !usedNames.has(candidate.toLowerCase()));
+  if (!name) {
+    throw new Error(`${mod.filename} would overwrite mods/${candidates[candidates.length - 1]}, rename one of the jars`);
+  }
+
+  usedNames.add(name.toLowerCase());
+  return name;
+}
+
+/**
+ * Write a packwiz repository from pack metadata
+ */
+export async function exportPackwiz(packData, metadataDir, outputDir) {
+  console.log(`📤 Writing packwiz repository to ${path.relative(process.cwd(), outputDir)}...`);
+
+  await fs.emptyDir(outputDir);
+
+  // Mod metafiles
+  const skipped = [];
+  const usedNames = new Set();
+  let exported = 0;
+
+  for (const mod of packData.mods) {
+    if (!getModDownloadUrl(mod)) {
+      skipped.push(mod);
+      continue;
+    }
+
+    const metafilePath = path.join(outputDir, 'mods', getMetafileName(mod, usedNames));
+    await fs.outputFile(metafilePath, TOML.stringify(createMetafileData(mod, packData.optionalMods)));
+    exported++;
+  }
+
+  console.log(`   ✓ Wrote ${exported} mod metafiles`);
+
+  // Game directory assets
+  for (const asset of loadInstanceAssets(metadataDir)) {
+    const sourcePath = path.join(metadataDir, asset.targetPath);
+    if (await fs.pathExists(sourcePath)) {
+      await fs.copy(sourcePath, path.join(outputDir, asset.sourcePath.replace(/^minecraft\//, '')));
+      console.log(`   ✓ Copied ${asset.name}`);
+    }
+  }
+
+  // Make sure no secrets are published, before index.toml records the file hashes
+  try {
+    await secureArtifact(outputDir, await loadSecretRules(metadataDir), ['.']);
+  } catch (error) {
+    await fs.emptyDir(outputDir);
+    throw error;
+  }
+
+  // index.toml lists every file with its hash
+  const files = [];
+  for (const file of await listFiles(outputDir)) {
+    const entry = { file, hash: await hashFile(path.join(outputDir, file)) };
+    if (file.startsWith('mods/') && file.endsWith('.pw.toml')) {
+      entry.metafile = true;
+    }
+    files.push(entry);
+  }
+
+  const indexPath = path.join(outputDir, 'index.toml');
+  await fs.writeFile(indexPath, TOML.stringify({ 'hash-format': INDEX_HASH_FORMAT, files }));
+
+  // pack.toml references index.toml by hash
+  const packToml = {
+    name: packData.name,
+    author: packData.author || '',
+    version: packData.version,
+    description: packData.description || '',
+    'pack-format': PACK_FORMAT,
+    index: {
+      file: 'index.toml',
+      'hash-format': INDEX_HASH_FORMAT,
+      hash: await hashFile(indexPath)
+    },
+    versions: {
+      minecraft: packData.gameVersion,
+      [packData.loaderType]: packData.loaderVersion
+    }
+  };
+
+  await fs.writeFile(path.join(outputDir, 'pack.toml'), TOML.stringify(packToml));
+  console.log(`   ✓ Wrote pack.toml and index.toml (${files.length} files)`);
+
+  return { exported, skipped };
+}
+
+/**
+ * Read a packwiz repository
+ * Returns pack-level info, parsed mod metafiles and non-mod asset files
+ */
+export async function readPackwiz(packwizDir) {
+  console.log(`📖 Reading packwiz repository ${packwizDir}...`);
+
+  const packTomlPath = path.join(packwizDir, 'pack.toml');
+  if (!await fs.pathExists(packTomlPath)) {
+    throw new Error(`pack.toml not found in ${packwizDir}`);
+  }
+
+  const pack = TOML.parse(await fs.readFile(packTomlPath, 'utf8'));
+  const loaderType = ['neoforge', 'forge', 'fabric', 'quilt'].find(loader => pack.versions?.[loader]);
+
+  if (!pack.versions?.minecraft) {
+    throw new Error('No Minecraft version found in pack.toml');
+  }
+
+  if (!loaderType) {
+    throw new Error('No supported mod loader found in pack.toml');
+  }
+
+  const indexPath = resolvePackwizPath(packwizDir, pack.index?.file || 'index.toml');
+  const index = TOML.parse(await fs.readFile(indexPath, 'utf8'));
+  const hashFormat = index['hash-format'] || INDEX_HASH_FORMAT;
+
+  const metafiles = [];
+  const assetFiles = [];
+
+  for (const entry of index.files || []) {
+    const filePath = resolvePackwizPath(packwizDir, entry.file);
+    const content = await fs.readFile(filePath);
+
+    const hashType = entry['hash-format'] || hashFormat;
+    if (entry.hash && crypto.getHashes().includes(hashType)) {
+      const actualHash = crypto.createHash(hashType).update(content).digest('hex');
+      if (actualHash !== entry.hash) {
+        console.warn(`⚠️  Hash mismatch for ${entry.file} (index.toml is out of date)`);
+      }
+    }
+
+    if (entry.metafile) {
+      metafiles.push({ file: entry.file, data: TOML.parse(content.toString('utf8')) });
+    } else {
+      assetFiles.push(entry.file);
+    }
+  }
+
+  console.log(`   Found ${metafiles.length} mod metafiles and ${assetFiles.length} other files`);
+
+  return {
+    packInfo: {
+      name: pack.name,
+      description: pack.description,
+      version: pack.version,
+      author: pack.author,
+      loaderInfo: {
+        minecraft: pack.versions.minecraft,
+        loader: { type: loaderType, version: pack.versions[loaderType] }
+      }
+    },
+    metafiles,
+    assetFiles
+  };
+}
+
+/**
+ * Convert a packwiz metafile into a pack.json mod entry (without jar metadata)
+ * The mod id, version, sha1 and size are only known once the jar has been read
+ */
+export function metafileToMod(data) {
+  const indexData = parseIndexData(data);
+  const disabled = data.disabled === true;
+
+  const mod = {
+    filename: disabled ? `${data.filename}.disabled` : data.filename,
+    name: data.name || 'Unknown',
+    version: 'Unknown',
+    modid: null,
+    side: data.side || 'both',
+    // Mods without an update source are only downloadable from their direct URL
+    url: indexData.modrinth || indexData.curseforge ? null : data.download?.url || null,
+    sha512: indexData.sha512,
+    sha1: indexData.sha1,
+    size: null,
+    lastModified: null,
+    disabled
+  };
+
+  if (indexData.modrinth) {
+    mod.modrinth = indexData.modrinth;
+  }
+
+  if (indexData.curseforge) {
+    mod.curseforge = indexData.curseforge;
+  }
+
+  return mod;
+}
+
+/**
+ * Copy asset files listed in index.toml into an instance-shaped directory
+ */
+export async function copyPackwizAssets(packwizDir, assetFiles, instanceDir) {
+  const minecraftDir = path.join(instanceDir, 'minecraft');
+
+  for (const file of assetFiles) {
+    const targetPath = path.join(minecraftDir, file);
+
+    // Never write outside the target directory
+    if (!targetPath.startsWith(minecraftDir + path.sep)) {
+      throw new Error(`Unsafe path in index.toml: ${file}`);
+    }
+
+    await fs.copy(resolvePackwizPath(packwizDir, file), targetPath);
+  }
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import TOML from '@iarna/toml';
+import { exportPackwiz, metafileToMod } from './packwiz.js';
+
+const mod = (fields = {}) => ({
+  filename: 'create.jar',
+  name: 'Create',
+  modid: 'create',
+  side: 'both',
+  sha512: 'b'.repeat(128),
+  modrinth: { modId: 'LNytGWDc', version: 'abc' },
+  ...fields
+});
+
+const pack = (mods) => ({
+  name: 'Pack',
+  version: '1.0.0',
+  gameVersion: '1.21.1',
+  loaderType: 'neoforge',
+  loaderVersion: '21.1.77',
+  mods
+});
+
+describe('exportPackwiz', () => {
+  let tempDir;
+  let metadataDir;
+  let outputDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'packwiz-test-'));
+    metadataDir = path.join(tempDir, 'metadata');
+    outputDir = path.join(tempDir, 'packwiz');
+    await fs.ensureDir(metadataDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  const metafiles = async () => (await fs.readdir(path.join(outputDir, 'mods'))).sort();
+
+  it('names metafiles after the mod id', async () => {
+    await exportPackwiz(pack([mod()]), metadataDir, outputDir);
+    expect(await metafiles()).toEqual(['create.pw.toml']);
+
+    const index = TOML.parse(await fs.readFile(path.join(outputDir, 'index.toml'), 'utf8'));
+    expect(index.files).toEqual([expect.objectContaining({ file: 'mods/create.pw.toml', metafile: true })]);
+  });
+
+  it('keeps mods that share a mod id apart', async () => {
+    await exportPackwiz(pack([
+      mod(),
+      mod({ filename: 'create-fork.jar', name: 'Create Fork', modrinth: { modId: 'fork', version: 'def' } })
+    ]), metadataDir, outputDir);
+
+    expect(await metafiles()).toEqual(['create-create-fork.pw.toml', 'create.pw.toml']);
+  });
+
+  it('names mods without a mod id after the jar', async () => {
+    await exportPackwiz(pack([mod({ modid: undefined, filename: 'mystery-1.0.jar.disabled', disabled: true })]), metadataDir, outputDir);
+    expect(await metafiles()).toEqual(['mystery-1-0.pw.toml']);
+  });
+});
+
+describe('metafileToMod', () => {
+  it('leaves the mod id unknown until the jar is read', () => {
+    const mod = metafileToMod({
+      name: 'Entity Model Features',
+      filename: 'emf.jar',
+      side: 'client',
+      download: { hash: 'b'.repeat(128), 'hash-format': 'sha512', mode: 'url', url: 'https://cdn.modrinth.com/data/a/versions/b/emf.jar' },
+      update: { modrinth: { 'mod-id': 'a', version: 'b' } }
+    });
+
+    expect(mod).toMatchObject({ name: 'Entity Model Features', modid: null, sha512: 'b'.repeat(128), sha1: null, size: null });
+    expect(mod.modrinth).toEqual({ modId: 'a', version: 'b' });
+    expect(mod.url).toBe(null);
+  });
+
+  it('keeps the direct URL of mods without an update source', () => {
+    const url = 'https://github.com/a/b/releases/download/1.0/b.jar';
+    const mod = metafileToMod({ name: 'B', filename: 'b.jar', download: { hash: 'c'.repeat(128), 'hash-format': 'sha512', mode: 'url', url } });
+    expect(mod.url).toBe(url);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Release utilities
+ * Semver bumps, git state checks and instance staleness checks for the release command
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { readInstanceConfig, validateLoader } from './instance.js';
+import { computeHashes } from './mods.js';
+
+export const BUMP_LEVELS = ['major', 'minor', 'patch'];
+
+/**
+ * Run a git command in the repository and return its trimmed output
+ */
+export function git(rootDir, args) {
+  return execFileSync('git', args, { cwd: rootDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+/**
+ * Parse a x.y.z version string
+ */
+export function parseVersion(version) {
+  const match = String(version).match(/^v?(\d+)\.(\d+)\.(\d+)$/);
+  if (!match) {
+    throw new Error(`Invalid version "${version}" (expected major.minor.patch)`);
+  }
+  return match.slice(1).map(Number);
+}
+
+/**
+ * Compare two x.y.z versions
+ */
+export function compareSemver(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+/**
+ * Bump a version by level
+ */
+export function bumpVersion(version, level) {
+  const [major, minor, patch] = parseVersion(version);
+
+  switch (level) {
+    case 'major': return `${major + 1}.0.0`;
+    case 'minor': return `${major}.${minor + 1}.0`;
+    case 'patch': return `${major}.${minor}.${patch + 1}`;
+    default: throw new Error(`Invalid bump level "${level}" (expected ${BUMP_LEVELS.join(', ')})`);
+  }
+}
+
+/**
+ * Suggest a bump level from a pack diff
+ * Removed mods and Minecraft updates break worlds (major), additions and loader updates are minor
+ */
+export function suggestBump(diff, oldPack, newPack) {
+  if (diff.removed.length > 0 || (oldPack && oldPack.gameVersion !== newPack.gameVersion)) {
+    return 'major';
+  }
+  if (diff.added.length > 0 || diff.loader) {
+    return 'minor';
+  }
+  return 'patch';
+}
+
+/**
+ * List files with uncommitted changes
+ */
+export function getDirtyFiles(rootDir) {
+  const status = git(rootDir, ['status', '--porcelain']);
+  return status ? status.split('\n') : [];
+}
+
+/**
+ * Get the most recent release tag (vX.Y.Z) reachable from ref, or null if there is none
+ */
+export function getLastReleaseTag(rootDir, ref = 'HEAD') {
+  try {
+    return git(rootDir, ['describe', '--tags', '--abbrev=0', '--match', 'v[0-9]*', ref]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List release tags (vX.Y.Z), newest version first
+ */
+export function getReleaseTags(rootDir) {
+  try {
+    const output = git(rootDir, ['tag', '--list', 'v[0-9]*', '--sort=-v:refname']);
+    return output ? output.split('\n') : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Read metadata/pack.json as it was at a git ref
+ */
+export function readPackAtRef(rootDir, ref) {
+  try {
+    return JSON.parse(git(rootDir, ['show', `${ref}:metadata/pack.json`]));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compare pack.json with the instance it was synced from
+ * Returns a list of differences (mod files, their hashes or loader versions)
+ */
+export async function findInstanceDifferences(instancePath, packData) {
+  const differences = [];
+
+  const loaderInfo = validateLoader(await readInstanceConfig(instancePath));
+  if (loaderInfo.minecraft !== packData.gameVersion) {
+    differences.push(`Minecraft ${loaderInfo.minecraft} in instance, ${packData.gameVersion} in pack.json`);
+  }
+  if (loaderInfo.loader.type !== packData.loaderType || loaderInfo.loader.version !== packData.loaderVersion) {
+    differences.push(`${loaderInfo.loader.type} ${loaderInfo.loader.version} in instance, ${packData.loaderType} ${packData.loaderVersion} in pack.json`);
+  }
+
+  const modsPath = path.join(instancePath, 'minecraft/mods');
+  const instanceFiles = new Set(
+    (await fs.pathExists(modsPath) ? await fs.readdir(modsPath) : [])
+      .filter(file => file.endsWith('.jar') || file.endsWith('.jar.disabled'))
+  );
+  const packMods = new Map(packData.mods.map(mod => [mod.filename, mod]));
+
+  for (const file of instanceFiles) {
+    if (!packMods.has(file)) differences.push(`${file} is in the instance but not in pack.json`);
+  }
+  for (const [file, mod] of packMods) {
+    if (!instanceFiles.has(file)) {
+      differences.push(`${file} is in pack.json but not in the instance`);
+      continue;
+    }
+
+    // Same filename doesn't mean same jar, a mod can be replaced in place
+    const hashes = computeHashes(await fs.readFile(path.join(modsPath, file)));
+    const hashType = mod.sha512 ? 'sha512' : 'sha1';
+    if (mod[hashType] !== hashes[hashType]) {
+      differences.push(`${file} in the instance doesn't match the ${hashType} in pack.json`);
+    }
+  }
+
+  return differences;
+}
@@ -0,0 +1,147 @@
+/**
+ * Software bill of materials utilities
+ * Describes the mods shipped in each artifact as a CycloneDX JSON document
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { getModDownloadUrl, hasModrinthSource, hasCurseForgeSource } from './sources.js';
+import { stableStringify } from './checksums.js';
+
+const SPEC_VERSION = '1.5';
+
+// SPDX identifiers that can be used as license ids, anything else is recorded by name
+const SPDX_IDS = new Set([
+  'MIT', 'Apache-2.0', 'BSD-2-Clause', 'BSD-3-Clause', 'ISC', 'Unlicense', 'CC0-1.0', 'Zlib',
+  'MPL-2.0', 'LGPL-2.1-only', 'LGPL-2.1-or-later', 'LGPL-3.0-only', 'LGPL-3.0-or-later',
+  'GPL-2.0-only', 'GPL-2.0-or-later', 'GPL-3.0-only', 'GPL-3.0-or-later',
+  'AGPL-3.0-only', 'AGPL-3.0-or-later', 'CC-BY-4.0', 'CC-BY-SA-4.0', 'CC-BY-NC-4.0',
+  'CC-BY-NC-SA-4.0', 'CC-BY-NC-ND-4.0', 'EUPL-1.2', 'OSL-3.0'
+]);
+
+/**
+ * Build a UUID from a hash so the serial number is stable for the same artifact
+ */
+function serialNumberFor(seed) {
+  const hex = crypto.createHash('sha256').update(seed).digest('hex');
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Get CycloneDX license entries for a mod
+ */
+function getLicenses(mod) {
+  if (!mod.license) return undefined;
+  return [{ license: SPDX_IDS.has(mod.license) ? { id: mod.license } : { name: mod.license } }];
+}
+
+/**
+ * Get links to a mod's project page and download
+ */
+function getExternalReferences(mod) {
+  const references = [];
+
+  if (hasModrinthSource(mod)) {
+    references.push({ type: 'website', url: `https://modrinth.com/mod/${mod.modrinth.modId}` });
+  } else if (hasCurseForgeSource(mod)) {
+    references.push({ type: 'website', url: `https://www.curseforge.com/projects/${mod.curseforge.projectId}` });
+  }
+
+  const downloadUrl = getModDownloadUrl(mod);
+  if (downloadUrl) {
+    references.push({ type: 'distribution', url: downloadUrl });
+  }
+
+  return references;
+}
+
+/**
+ * Convert a pack.json mod entry into a CycloneDX component
+ * bundled marks jars shipped inside the artifact instead of downloaded by the launcher
+ */
+export function modToComponent(mod, { bundled = false } = {}) {
+  const hashes = [];
+  if (mod.sha1) hashes.push({ alg: 'SHA-1', content: mod.sha1 });
+  if (mod.sha512) hashes.push({ alg: 'SHA-512', content: mod.sha512 });
+
+  const properties = [
+    { name: 'minecraft:side', value: mod.side || 'both' },
+    { name: 'minecraft:filename', value: mod.filename },
+    { name: 'minecraft:delivery', value: bundled ? 'bundled' : 'download' }
+  ];
+  if (mod.modid) properties.unshift({ name: 'minecraft:modid', value: mod.modid });
+  if (mod.loader) properties.push({ name: 'minecraft:loader', value: mod.loader });
+  if (hasModrinthSource(mod)) {
+    properties.push({ name: 'modrinth:project', value: mod.modrinth.modId });
+    properties.push({ name: 'modrinth:version', value: mod.modrinth.version });
+  }
+  if (hasCurseForgeSource(mod)) {
+    properties.push({ name: 'curseforge:project', value: String(mod.curseforge.projectId) });
+    properties.push({ name: 'curseforge:file', value: String(mod.curseforge.fileId) });
+  }
+
+  const component = {
+    type: 'library',
+    'bom-ref': `mod:${mod.modid || mod.filename}:${mod.sha512 || mod.sha1 || mod.filename}`,
+    name: mod.name || mod.modid,
+    hashes,
+    externalReferences: getExternalReferences(mod),
+    properties
+  };
+
+  if (mod.version && mod.version !== 'Unknown') component.version = mod.version;
+  if (mod.authors?.length) component.author = mod.authors.join(', ');
+  const licenses = getLicenses(mod);
+  if (licenses) component.licenses = licenses;
+
+  return component;
+}
+
+/**
+ * Generate a CycloneDX SBOM for an artifact
+ * mods are [{ mod, bundled }], artifact is { name, sha256?, sha512? }
+ */
+export function generateSbom(mods, packInfo, artifact) {
+  const artifactHashes = [];
+  if (artifact.sha256) artifactHashes.push({ alg: 'SHA-256', content: artifact.sha256 });
+  if (artifact.sha512) artifactHashes.push({ alg: 'SHA-512', content: artifact.sha512 });
+
+  const components = mods
+    .map(({ mod, bundled }) => modToComponent(mod, { bundled }))
+    .sort((a, b) => a['bom-ref'].localeCompare(b['bom-ref'], 'en'));
+
+  const seed = [artifact.name, artifact.sha256 || '', ...components.map(component => component['bom-ref'])].join('\n');
+
+  return {
+    bomFormat: 'CycloneDX',
+    specVersion: SPEC_VERSION,
+    serialNumber: serialNumberFor(seed),
+    version: 1,
+    metadata: {
+      component: {
+        type: 'application',
+        'bom-ref': `pack:${artifact.name}`,
+        name: packInfo.name,
+        version: packInfo.version,
+        description: artifact.name,
+        ...(artifactHashes.length > 0 && { hashes: artifactHashes }),
+        properties: [
+          { name: 'minecraft:version', value: packInfo.gameVersion },
+          { name: 'minecraft:loader', value: `${packInfo.loaderType} ${packInfo.loaderVersion}` }
+        ]
+      }
+    },
+    components
+  };
+}
+
+/**
+ * Write an SBOM to disk
+ */
+export async function writeSbom(sbomPath, mods, packInfo, artifact) {
+  const sbom = generateSbom(mods, packInfo, artifact);
+  await fs.writeFile(sbomPath, stableStringify(sbom));
+  console.log(`   📋 SBOM: ${sbom.components.length} components → ${path.basename(sbomPath)}`);
+  return sbom;
+}
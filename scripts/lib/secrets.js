@@ -0,0 +1,339 @@
+/**
+ * Secret scrubbing utilities
+ * Keeps tokens in synced configs out of metadata and release artifacts
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { listFiles } from './overrides.js';
+import { matchesFilePattern } from './sync-rules.js';
+
+// Config values that are secrets, as { files, key, env } rules with paths relative to metadata/
+export const DEFAULT_SECRET_RULES = [
+  { files: 'kubejs/config/web_server.json', key: 'auth', env: 'KUBEJS_WEB_SERVER_AUTH' }
+];
+
+// Patterns that should never appear in a release artifact
+export const DEFAULT_SECRET_PATTERNS = [
+  '-----BEGIN [A-Z ]*PRIVATE KEY-----',
+  '\\bgh[pousr]_[A-Za-z0-9]{36,}\\b',
+  '\\bAKIA[0-9A-Z]{16}\\b',
+  '\\b[MN][A-Za-z\\d]{23,25}\\.[\\w-]{6}\\.[\\w-]{27,}\\b',
+  '\\$2a\\$10\\$[A-Za-z0-9./]{53}',
+  '\\bmrp_[A-Za-z0-9]{36,}\\b'
+];
+
+// Environment variables whose values must never end up in an artifact
+const SECRET_ENV_VARS = ['SFTP_PASS', 'CURSEFORGE_API_KEY', 'MODRINTH_TOKEN'];
+
+// Files larger than this are not scanned for secret patterns
+const MAX_SCAN_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Load secret rules from metadata/secrets.json on top of the defaults
+ * "rules" adds { files, key, env, placeholder } entries, "patterns" adds regular expressions
+ */
+export async function loadSecretRules(metadataDir) {
+  const configPath = path.join(metadataDir, 'secrets.json');
+  const config = await fs.pathExists(configPath) ? await fs.readJSON(configPath) : {};
+
+  const rules = [...DEFAULT_SECRET_RULES, ...(config.rules || [])];
+  for (const rule of rules) {
+    if (!rule.files || !rule.key) {
+      throw new Error(`Invalid secret rule ${JSON.stringify(rule)} in secrets.json (needs "files" and "key")`);
+    }
+  }
+
+  return {
+    rules,
+    patterns: [...DEFAULT_SECRET_PATTERNS, ...(config.patterns || [])].map(pattern => new RegExp(pattern))
+  };
+}
+
+/**
+ * Get the value a secret is replaced with
+ */
+export function getPlaceholder(rule) {
+  if (rule.placeholder !== undefined) {
+    return rule.placeholder;
+  }
+  return rule.env ? `\${${rule.env}}` : 'REDACTED';
+}
+
+/**
+ * Find the [start, end) offsets of the value at a dot-separated key path in JSON text
+ * Returns null when the key path doesn't exist
+ */
+function findJsonValue(text, keyPath) {
+  const whitespace = /\s*/y;
+  const token = /"(?:[^"\\]|\\.)*"|-?\d[\d.eE+-]*|true|false|null/y;
+  let pos = 0;
+  let found = null;
+
+  const skipWhitespace = () => {
+    whitespace.lastIndex = pos;
+    whitespace.exec(text);
+    pos = whitespace.lastIndex;
+  };
+
+  const readToken = () => {
+    token.lastIndex = pos;
+    const match = token.exec(text);
+    if (!match) {
+      throw new SyntaxError(`Unexpected character in JSON at position ${pos}`);
+    }
+    pos = token.lastIndex;
+    return match[0];
+  };
+
+  const readValue = valuePath => {
+    skipWhitespace();
+    const start = pos;
+    const open = text[pos];
+
+    if (open === '{' || open === '[') {
+      const close = open === '{' ? '}' : ']';
+      let index = 0;
+      pos++;
+      skipWhitespace();
+
+      while (text[pos] !== close) {
+        let key = String(index++);
+        if (open === '{') {
+          key = JSON.parse(readToken());
+          skipWhitespace();
+          pos++; // ':'
+        }
+        readValue(valuePath ? `${valuePath}.${key}` : key);
+        skipWhitespace();
+        if (text[pos] === ',') {
+          pos++;
+          skipWhitespace();
+        }
+      }
+      pos++;
+    } else {
+      readToken();
+    }
+
+    if (valuePath === keyPath && !found) {
+      found = [start, pos];
+    }
+  };
+
+  readValue('');
+  return found;
+}
+
+/**
+ * Set a dot-separated key path in JSON text, keeping the rest of the file as it is
+ * Returns the updated text, or null when the key was not found or already had the value
+ */
+export function setJsonValue(text, keyPath, value) {
+  // Parse first so invalid JSON fails with the usual error
+  JSON.parse(text);
+
+  const span = findJsonValue(text, keyPath);
+  if (!span || JSON.parse(text.slice(...span)) === value) {
+    return null;
+  }
+
+  return `${text.slice(0, span[0])}${JSON.stringify(value)}${text.slice(span[1])}`;
+}
+
+/**
+ * Set a dot-separated key path in TOML text, keeping comments and formatting
+ * Returns the updated text, or null when the key was not found or already had the value
+ */
+export function setTomlValue(text, keyPath, value) {
+  let table = '';
+  let changed = false;
+  const quoted = JSON.stringify(value);
+
+  const lines = text.split('\n').map(line => {
+    const header = line.match(/^\s*\[+\s*([^\]]+?)\s*\]+/);
+    if (header) {
+      table = header[1].replace(/["']/g, '');
+      return line;
+    }
+
+    const assignment = line.match(/^(\s*)(["']?)([\w.-]+)\2(\s*=\s*)(.*)$/);
+    if (!assignment) {
+      return line;
+    }
+
+    const [, indent, quote, key, equals, rest] = assignment;
+    const fullKey = table ? `${table}.${key}` : key;
+    if (fullKey !== keyPath) {
+      return line;
+    }
+
+    const comment = rest.match(/^(?:"(?:[^"\\]|\\.)*"|'[^']*'|[^#]*?)(\s*#.*)?$/)?.[1] || '';
+    const updated = `${indent}${quote}${key}${quote}${equals}${quoted}${comment}`;
+    changed = changed || updated !== line;
+    return updated;
+  });
+
+  return changed ? lines.join('\n') : null;
+}
+
+/**
+ * Set a dot-separated key path in the text of a JSON or TOML file
+ * Returns the updated text, or null when nothing changed or the file type isn't supported
+ */
+function setFileValue(file, text, keyPath, value) {
+  if (file.endsWith('.json')) {
+    return setJsonValue(text, keyPath, value);
+  }
+  if (file.endsWith('.toml')) {
+    return setTomlValue(text, keyPath, value);
+  }
+
+  console.warn(`   ⚠️  Secret rule for ${file} skipped: only JSON and TOML files are supported`);
+  return null;
+}
+
+/**
+ * List the files a rule could match
+ * Only walks the rule's top-level directory so server and staging directories stay cheap to scan
+ */
+async function listRuleFiles(dir, rule) {
+  const topLevel = rule.files.split('/')[0];
+
+  if (topLevel.includes('*')) {
+    return listFiles(dir);
+  }
+
+  const topLevelPath = path.join(dir, topLevel);
+  if (!await fs.pathExists(topLevelPath)) {
+    return [];
+  }
+
+  return (await fs.stat(topLevelPath)).isDirectory() ? listFiles(dir, topLevel) : [topLevel];
+}
+
+/**
+ * Set secret values in every file matched by the rules
+ * valueFor(rule) returns the value to write, or undefined to leave the file alone
+ * Returns the [{ file, key }] entries that were changed
+ */
+async function applySecretRules(dir, rules, valueFor) {
+  const changed = [];
+
+  for (const rule of rules) {
+    const value = valueFor(rule);
+    if (value === undefined) continue;
+
+    const files = await listRuleFiles(dir, rule);
+    for (const file of files.filter(file => matchesFilePattern(file, rule.files))) {
+      const filePath = path.join(dir, file);
+      const updated = setFileValue(file, await fs.readFile(filePath, 'utf8'), rule.key, value);
+
+      if (updated !== null) {
+        await fs.writeFile(filePath, updated);
+        changed.push({ file, key: rule.key });
+      }
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Replace secret values with placeholders
+ */
+export async function scrubSecrets(dir, { rules }) {
+  const scrubbed = await applySecretRules(dir, rules, getPlaceholder);
+
+  for (const { file, key } of scrubbed) {
+    console.log(`   🔒 Redacted ${key} in ${file}`);
+  }
+
+  return scrubbed;
+}
+
+/**
+ * Replace secret values with placeholders in file content before it is written
+ * file is the path relative to the rules' directory, content is returned as is when no rule changes it
+ */
+export function scrubContent(file, content, { rules }) {
+  let text = null;
+
+  for (const rule of rules.filter(rule => matchesFilePattern(file, rule.files))) {
+    const updated = setFileValue(file, text ?? content.toString('utf8'), rule.key, getPlaceholder(rule));
+    if (updated !== null) {
+      text = updated;
+    }
+  }
+
+  return text === null ? content : Buffer.from(text);
+}
+
+/**
+ * Replace placeholders with real values from environment variables
+ * Returns rules whose environment variable is not set
+ */
+export async function injectSecrets(dir, { rules }, env = process.env) {
+  const missing = rules.filter(rule => rule.env && !env[rule.env]);
+  const injected = await applySecretRules(dir, rules, rule => (rule.env && env[rule.env]) || undefined);
+
+  for (const { file, key } of injected) {
+    console.log(`   🔑 Injected ${key} in ${file}`);
+  }
+
+  return missing;
+}
+
+/**
+ * Scan a directory for known secret patterns and secret environment variable values
+ * Returns [{ file, match }] findings
+ */
+export async function scanForSecrets(dir, { rules, patterns }, env = process.env) {
+  const findings = [];
+
+  const secretValues = [...SECRET_ENV_VARS, ...rules.map(rule => rule.env).filter(Boolean)]
+    .map(name => env[name])
+    .filter(value => value && value.length >= 8);
+
+  for (const file of await listFiles(dir)) {
+    const filePath = path.join(dir, file);
+    if ((await fs.stat(filePath)).size > MAX_SCAN_SIZE) continue;
+
+    const content = await fs.readFile(filePath);
+    if (content.subarray(0, 8000).includes(0)) continue;
+
+    const text = content.toString('utf8');
+
+    for (const pattern of patterns) {
+      if (pattern.test(text)) {
+        findings.push({ file, match: `pattern ${pattern.source}` });
+      }
+    }
+
+    if (secretValues.some(value => text.includes(value))) {
+      findings.push({ file, match: 'value of a secret environment variable' });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Scrub a staged artifact directory and fail if anything secret is left in it
+ * overrideDirs are the subdirectories whose contents mirror metadata/ paths
+ */
+export async function secureArtifact(tempDir, secretRules, overrideDirs) {
+  console.log('🔒 Checking artifact for secrets...');
+
+  for (const dir of overrideDirs) {
+    await scrubSecrets(path.join(tempDir, dir), secretRules);
+  }
+
+  const findings = await scanForSecrets(tempDir, secretRules);
+  if (findings.length > 0) {
+    findings.forEach(({ file, match }) => console.log(`   ❌ ${file}: ${match}`));
+    throw new Error(`Found ${findings.length} secrets in artifact. Add rules to metadata/secrets.json or remove the files.`);
+  }
+
+  console.log('   ✓ No secrets found');
+}
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { loadSecretRules, getPlaceholder, setJsonValue, setTomlValue, scrubContent, scrubSecrets, injectSecrets, scanForSecrets } from './secrets.js';
+
+describe('setJsonValue', () => {
+  it('replaces only the value and keeps the formatting', () => {
+    const text = '{\n    "enabled": true,\n    "auth": "abc"\n}\n';
+    expect(setJsonValue(text, 'auth', '${TOKEN}')).toBe('{\n    "enabled": true,\n    "auth": "${TOKEN}"\n}\n');
+  });
+
+  it('resolves nested objects and array indexes', () => {
+    const text = '{"auth": 1, "servers": [{"auth": "a"}, {"auth": "b\\"c"}]}';
+    expect(setJsonValue(text, 'servers.1.auth', 'x')).toBe('{"auth": 1, "servers": [{"auth": "a"}, {"auth": "x"}]}');
+  });
+
+  it('returns null when the key is missing or already set', () => {
+    expect(setJsonValue('{"other": 1}', 'auth', 'x')).toBeNull();
+    expect(setJsonValue('{"auth": "x"}', 'auth', 'x')).toBeNull();
+  });
+
+  it('throws on invalid JSON', () => {
+    expect(() => setJsonValue('{"auth": ', 'auth', 'x')).toThrow(SyntaxError);
+  });
+});
+
+describe('setTomlValue', () => {
+  it('replaces a top-level value and keeps comments', () => {
+    const text = 'token = "abc" # api token\nport = 8080\n';
+    expect(setTomlValue(text, 'token', '${TOKEN}')).toBe('token = "${TOKEN}" # api token\nport = 8080\n');
+  });
+
+  it('resolves keys inside tables', () => {
+    const text = '[server]\ntoken = "abc"\n\n[client]\ntoken = "def"\n';
+    expect(setTomlValue(text, 'client.token', 'x')).toBe('[server]\ntoken = "abc"\n\n[client]\ntoken = "x"\n');
+  });
+
+  it('handles quoted keys and a hash inside the value', () => {
+    const text = '"token" = "a#b"\n';
+    expect(setTomlValue(text, 'token', 'x')).toBe('"token" = "x"\n');
+  });
+
+  it('returns null when the key is missing or already set', () => {
+    expect(setTomlValue('other = 1\n', 'token', 'x')).toBeNull();
+    expect(setTomlValue('token = "x"\n', 'token', 'x')).toBeNull();
+  });
+});
+
+describe('scrubContent', () => {
+  const rules = [{ files: 'kubejs/config/web_server.json', key: 'auth', env: 'KUBEJS_WEB_SERVER_AUTH' }];
+
+  it('redacts matching files before they are written', () => {
+    const content = Buffer.from('{\n  "auth": "real-token"\n}\n');
+    expect(scrubContent('kubejs/config/web_server.json', content, { rules }).toString())
+      .toBe('{\n  "auth": "${KUBEJS_WEB_SERVER_AUTH}"\n}\n');
+  });
+
+  it('returns other content unchanged', () => {
+    const content = Buffer.from([0, 1, 2]);
+    expect(scrubContent('kubejs/assets/icon.png', content, { rules })).toBe(content);
+  });
+});
+
+describe('getPlaceholder', () => {
+  it('uses the explicit placeholder, then the env variable, then REDACTED', () => {
+    expect(getPlaceholder({ placeholder: '', env: 'TOKEN' })).toBe('');
+    expect(getPlaceholder({ env: 'TOKEN' })).toBe('${TOKEN}');
+    expect(getPlaceholder({})).toBe('REDACTED');
+  });
+});
+
+describe('secret rules', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'secrets-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('adds rules and patterns from secrets.json to the defaults', async () => {
+    await fs.writeJSON(path.join(dir, 'secrets.json'), {
+      rules: [{ files: 'config/*.toml', key: 'api.token', env: 'API_TOKEN' }],
+      patterns: ['secret-[0-9]+']
+    });
+
+    const { rules, patterns } = await loadSecretRules(dir);
+    expect(rules.map(rule => rule.key)).toEqual(['auth', 'api.token']);
+    expect(patterns.some(pattern => pattern.test('secret-42'))).toBe(true);
+  });
+
+  it('rejects rules without files or key', async () => {
+    await fs.writeJSON(path.join(dir, 'secrets.json'), { rules: [{ files: 'config/a.toml' }] });
+    await expect(loadSecretRules(dir)).rejects.toThrow('needs "files" and "key"');
+  });
+
+  it('scrubs and injects values in matching files only', async () => {
+    const rules = [{ files: 'config/*.toml', key: 'api.token', env: 'API_TOKEN' }];
+    await fs.outputFile(path.join(dir, 'config/mod.toml'), '[api]\ntoken = "real-token"\n');
+    await fs.outputFile(path.join(dir, 'other/mod.toml'), '[api]\ntoken = "keep"\n');
+
+    expect(await scrubSecrets(dir, { rules })).toEqual([{ file: 'config/mod.toml', key: 'api.token' }]);
+    expect(await fs.readFile(path.join(dir, 'config/mod.toml'), 'utf8')).toBe('[api]\ntoken = "${API_TOKEN}"\n');
+    expect(await fs.readFile(path.join(dir, 'other/mod.toml'), 'utf8')).toBe('[api]\ntoken = "keep"\n');
+
+    expect(await injectSecrets(dir, { rules }, { API_TOKEN: 'injected' })).toEqual([]);
+    expect(await fs.readFile(path.join(dir, 'config/mod.toml'), 'utf8')).toBe('[api]\ntoken = "injected"\n');
+
+    expect(await injectSecrets(dir, { rules }, {})).toEqual(rules);
+  });
+
+  it('finds secret patterns and secret environment values', async () => {
+    await fs.outputFile(path.join(dir, 'a.txt'), `key ghp_${'a'.repeat(36)}`);
+    await fs.outputFile(path.join(dir, 'b.txt'), 'password hunter2hunter2');
+    await fs.outputFile(path.join(dir, 'c.txt'), 'nothing here');
+
+    const { rules, patterns } = await loadSecretRules(dir);
+    const findings = await scanForSecrets(dir, { rules, patterns }, { SFTP_PASS: 'hunter2hunter2' });
+    expect(findings.map(finding => finding.file).sort()).toEqual(['a.txt', 'b.txt']);
+  });
+});
@@ -1,57 +1,138 @@
 import fs from 'fs-extra';
+import os from 'os';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
 import { downloadWithCache } from './downloader.js';
+import { getHashType } from './cache.js';
+import { getArtifactUrls } from './sources.js';
+
+// Mojang version metadata is refetched once the cached copy is older than this
+const METADATA_TTL = 24 * 60 * 60 * 1000;
+
+// Time limit for a metadata or checksum request
+const METADATA_TIMEOUT = 30000;
 
 /**
- * Get Minecraft version manifest
+ * Fetch JSON through a cache file that is refreshed once it is older than METADATA_TTL
+ * getUrl is only called when a refresh is due. Offline, or when the refresh fails,
+ * the cached copy is used whatever its age.
  */
-async function getMinecraftVersions() {
-  const fetch = (await import('node-fetch')).default;
-  const response = await fetch('https://launchermeta.mojang.com/mc/game/version_manifest.json');
-  if (!response.ok) {
-    throw new Error(`Failed to fetch Minecraft versions: ${response.statusText}`);
+async function fetchCachedJson(cachePath, getUrl, { offline = false, label }) {
+  const cached = await fs.pathExists(cachePath) ? await fs.stat(cachePath) : null;
+
+  if (cached && (offline || Date.now() - cached.mtimeMs < METADATA_TTL)) {
+    return await fs.readJSON(cachePath);
+  }
+
+  if (offline) {
+    throw new Error(`${label} is not cached`);
+  }
+
+  try {
+    const fetch = (await import('node-fetch')).default;
+    const response = await fetch(await getUrl(), { signal: AbortSignal.timeout(METADATA_TIMEOUT) });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${label}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    await fs.outputJSON(cachePath, data, { spaces: 2 });
+    return data;
+
+  } catch (error) {
+    if (!cached) {
+      throw error;
+    }
+    console.log(`   ⚠️  Could not refresh ${label} (${error.code || error.message}), using the cached copy`);
+    return await fs.readJSON(cachePath);
   }
-  return await response.json();
 }
 
 /**
- * Download Minecraft server jar
+ * Get Minecraft version manifest
  */
-export async function downloadMinecraftServer(gameVersion, serverDir, cacheDir) {
-  console.log(`🎮 Setting up Minecraft ${gameVersion} server...`);
+async function getMinecraftVersions(cacheDir, { offline = false } = {}) {
+  return await fetchCachedJson(
+    path.join(cacheDir, 'minecraft', 'version_manifest.json'),
+    () => 'https://launchermeta.mojang.com/mc/game/version_manifest.json',
+    { offline, label: 'Minecraft version manifest' }
+  );
+}
 
-  // Get version manifest
-  const manifest = await getMinecraftVersions();
-  const version = manifest.versions.find(v => v.id === gameVersion);
+/**
+ * Path of the cached version JSON for a Minecraft version
+ */
+function getMinecraftVersionPath(cacheDir, gameVersion) {
+  return path.join(cacheDir, 'minecraft', `${gameVersion}.json`);
+}
 
-  if (!version) {
-    throw new Error(`Minecraft version ${gameVersion} not found`);
-  }
+/**
+ * Directory holding the cached installer checksum and libraries for a NeoForge version
+ */
+function getNeoForgeCacheDir(cacheDir, loaderVersion) {
+  return path.join(cacheDir, 'neoforge', loaderVersion);
+}
 
-  // Get version details
-  const fetch = (await import('node-fetch')).default;
-  const versionResponse = await fetch(version.url);
-  const versionData = await versionResponse.json();
+/**
+ * Get the version JSON for a Minecraft version
+ * The manifest is only consulted when the cached version JSON is missing or stale
+ */
+async function getMinecraftVersionData(gameVersion, cacheDir, { offline = false } = {}) {
+  return await fetchCachedJson(getMinecraftVersionPath(cacheDir, gameVersion), async () => {
+    const manifest = await getMinecraftVersions(cacheDir, { offline });
+    const version = manifest.versions.find(v => v.id === gameVersion);
+
+    if (!version) {
+      throw new Error(`Minecraft version ${gameVersion} not found`);
+    }
+
+    return version.url;
+  }, { offline, label: `Minecraft ${gameVersion} version data` });
+}
+
+/**
+ * Download the Minecraft server jar into the cache
+ * options.sources are the sources from sources.json, tried in order
+ * Returns the cached file
+ */
+export async function cacheMinecraftServer(gameVersion, cacheDir, options = {}) {
+  const versionData = await getMinecraftVersionData(gameVersion, cacheDir, options);
 
   if (!versionData.downloads?.server) {
     throw new Error(`No server download available for Minecraft ${gameVersion}`);
   }
 
-  // Download server jar
-  const serverInfo = versionData.downloads.server;
-  const serverJarPath = path.join(serverDir, 'server.jar');
-
-  console.log(`   ⬇️  Downloading server.jar...`);
-
   // Use cache based on SHA1 hash
-  const cachedFile = await downloadWithCache(
-    serverInfo.url,
+  const serverInfo = versionData.downloads.server;
+  const urls = getArtifactUrls({
+    origin: serverInfo.url,
+    vars: { version: gameVersion, filename: `server-${gameVersion}.jar`, hash: serverInfo.sha1, sha1: serverInfo.sha1 },
+    maven: { group: 'net.minecraft', artifact: 'server', version: gameVersion },
+    keys: []
+  }, options.sources.minecraft);
+
+  return await downloadWithCache(
+    urls,
     serverInfo.sha1,
     cacheDir,
     'server.jar',
-    'sha1'
+    'sha1',
+    { name: `Minecraft ${gameVersion} server`, kind: 'minecraft-server' }
   );
+}
+
+/**
+ * Download Minecraft server jar
+ * options.offline builds from the cache only, options.sources come from sources.json
+ */
+export async function downloadMinecraftServer(gameVersion, serverDir, cacheDir, options = {}) {
+  console.log(`🎮 Setting up Minecraft ${gameVersion} server...`);
+
+  const serverJarPath = path.join(serverDir, 'server.jar');
+
+  console.log(`   ⬇️  Downloading server.jar...`);
+  const cachedFile = await cacheMinecraftServer(gameVersion, cacheDir, options);
 
   await fs.copy(cachedFile, serverJarPath);
   console.log(`   ✅ Minecraft server jar installed as server.jar`);
@@ -59,6 +140,126 @@ export async function downloadMinecraftServer(gameVersion, serverDir, cacheDir)
   return serverJarPath;
 }
 
+/**
+ * Read a text file from a URL, file:// URLs are read from disk
+ */
+async function readUrlText(url) {
+  if (url.startsWith('file:')) {
+    return await fs.readFile(fileURLToPath(url), 'utf8');
+  }
+
+  const fetch = (await import('node-fetch')).default;
+  const response = await fetch(url, { signal: AbortSignal.timeout(METADATA_TIMEOUT) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  return await response.text();
+}
+
+/**
+ * Look up the checksum a Maven repository publishes next to an artifact (<file>.sha256 or <file>.sha1)
+ * Returns { hash, hashType } or null when neither is published
+ */
+async function fetchPublishedChecksum(url) {
+  for (const hashType of ['sha256', 'sha1']) {
+    try {
+      const hash = (await readUrlText(`${url}.${hashType}`)).trim().split(/\s+/)[0].toLowerCase();
+      if (getHashType(hash) === hashType) {
+        return { hash, hashType };
+      }
+    } catch (error) {
+      // Not published, try the next checksum
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the checksum of the NeoForge installer
+ * The checksum always comes from the NeoForge maven, so a mirror can't vouch for its own file.
+ * It is saved so offline builds can find the installer in the cache
+ */
+async function getNeoForgeInstallerChecksum(loaderVersion, cacheDir, originUrl, { offline = false } = {}) {
+  const checksumPath = path.join(getNeoForgeCacheDir(cacheDir, loaderVersion), 'installer.json');
+
+  if (await fs.pathExists(checksumPath)) {
+    return await fs.readJSON(checksumPath);
+  }
+
+  if (offline) {
+    throw new Error(`NeoForge ${loaderVersion} installer is not cached`);
+  }
+
+  const checksum = await fetchPublishedChecksum(originUrl);
+  if (!checksum) {
+    throw new Error(`No .sha256 or .sha1 published on the NeoForge maven for the ${loaderVersion} installer`);
+  }
+
+  await fs.outputJSON(checksumPath, checksum, { spaces: 2 });
+  return checksum;
+}
+
+/**
+ * Download the NeoForge installer through the hashed cache, trying the sources from sources.json in order
+ * The download is verified against the checksum the NeoForge maven publishes
+ * Returns the cached file
+ */
+export async function cacheNeoForgeInstaller(loaderVersion, cacheDir, { offline = false, sources } = {}) {
+  const installerName = `neoforge-${loaderVersion}-installer.jar`;
+
+  // NeoForge download URL pattern
+  const neoForgeUrl = `https://maven.neoforged.net/net/neoforged/neoforge/${loaderVersion}/${installerName}`;
+
+  const urls = getArtifactUrls({
+    origin: neoForgeUrl,
+    vars: { version: loaderVersion, filename: installerName },
+    maven: { group: 'net.neoforged', artifact: 'neoforge', version: loaderVersion, classifier: 'installer' },
+    keys: []
+  }, sources.neoforge);
+
+  const { hash, hashType } = await getNeoForgeInstallerChecksum(loaderVersion, cacheDir, neoForgeUrl, { offline });
+
+  if (offline && !await fs.pathExists(path.join(cacheDir, `${hash}.mod`))) {
+    throw new Error(`NeoForge ${loaderVersion} installer is not cached`);
+  }
+
+  return await downloadWithCache(urls, hash, cacheDir, installerName, hashType, {
+    name: `NeoForge ${loaderVersion} installer`,
+    kind: 'neoforge-installer'
+  });
+}
+
+/**
+ * List the Minecraft and NeoForge artifacts a server build needs that are not cached
+ * Returns descriptions of the missing artifacts
+ */
+export async function findMissingServerArtifacts(gameVersion, loaderVersion, cacheDir) {
+  const missing = [];
+
+  const versionPath = getMinecraftVersionPath(cacheDir, gameVersion);
+  if (!await fs.pathExists(versionPath)) {
+    missing.push(`Minecraft ${gameVersion} version data`);
+  } else {
+    const serverInfo = (await fs.readJSON(versionPath)).downloads?.server;
+    if (!serverInfo || !await fs.pathExists(path.join(cacheDir, `${serverInfo.sha1}.mod`))) {
+      missing.push(`Minecraft ${gameVersion} server jar`);
+    }
+  }
+
+  const neoForgeDir = getNeoForgeCacheDir(cacheDir, loaderVersion);
+  const checksumPath = path.join(neoForgeDir, 'installer.json');
+  const checksum = await fs.pathExists(checksumPath) ? await fs.readJSON(checksumPath) : null;
+  if (!checksum || !await fs.pathExists(path.join(cacheDir, `${checksum.hash}.mod`))) {
+    missing.push(`NeoForge ${loaderVersion} installer`);
+  }
+  if (!await fs.pathExists(path.join(neoForgeDir, 'libraries'))) {
+    missing.push(`NeoForge ${loaderVersion} libraries`);
+  }
+
+  return missing;
+}
+
 /**
  * Execute a command and return a promise
  */
@@ -102,47 +303,96 @@ function executeCommand(command, args, options = {}) {
 }
 
 /**
- * Download and install NeoForge server
+ * Run the NeoForge installer in installDir
+ * libraries/ starts empty so only this version's libraries end up in the install and the cache.
+ * Cached libraries are copied in first so the installer only downloads what is missing,
+ * and the libraries of the first online install of a version are saved to the cache
  */
-export async function downloadAndInstallNeoForge(gameVersion, loaderVersion, serverDir, cacheDir) {
-  console.log(`⚙️  Setting up NeoForge ${loaderVersion}...`);
-
-  // NeoForge download URL pattern
-  const neoForgeUrl = `https://maven.neoforged.net/net/neoforged/neoforge/${loaderVersion}/neoforge-${loaderVersion}-installer.jar`;
+async function runNeoForgeInstaller(loaderVersion, installDir, cacheDir, { offline = false, sources } = {}) {
+  const installerName = `neoforge-${loaderVersion}-installer.jar`;
+  const installerPath = path.join(installDir, installerName);
+  const librariesDir = path.join(installDir, 'libraries');
+  const librariesCache = path.join(getNeoForgeCacheDir(cacheDir, loaderVersion), 'libraries');
+  const hasCachedLibraries = await fs.pathExists(librariesCache);
 
   console.log(`   ⬇️  Downloading NeoForge installer...`);
+  await fs.copy(await cacheNeoForgeInstaller(loaderVersion, cacheDir, { offline, sources }), installerPath);
 
-  try {
-    // Download installer (skip hash verification for now)
-    const installerPath = path.join(serverDir, `neoforge-${loaderVersion}-installer.jar`);
+  await fs.emptyDir(librariesDir);
+  if (hasCachedLibraries) {
+    console.log(`   📋 Using cached NeoForge libraries`);
+    await fs.copy(librariesCache, librariesDir);
+  }
 
-    const fetch = (await import('node-fetch')).default;
-    const response = await fetch(neoForgeUrl);
+  // Run the installer with --server-starter flag
+  console.log(`   🚀 Installing NeoForge server...`);
+  await executeCommand('java', [
+    '-jar',
+    installerName,
+    '--installServer',
+    '--server-starter',
+    ...(offline ? ['--offline'] : [])
+  ], { cwd: installDir });
+
+  console.log(`   ✅ NeoForge server installed successfully`);
+
+  if (!hasCachedLibraries) {
+    await fs.copy(librariesDir, librariesCache);
+    console.log(`   💾 Cached NeoForge libraries`);
+  }
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
+  // Remove the installer after successful installation
+  console.log(`   🗑️  Cleaning up installer...`);
+  await fs.remove(installerPath);
+  console.log(`   ✅ Installer removed`);
+}
 
-    const buffer = await response.buffer();
-    await fs.writeFile(installerPath, buffer);
+/**
+ * Cache the NeoForge installer and the libraries it installs
+ * The installer runs in a scratch directory that is removed afterwards
+ */
+export async function prefetchNeoForge(loaderVersion, cacheDir, options = {}) {
+  console.log(`⚙️  Caching NeoForge ${loaderVersion}...`);
+
+  if (await fs.pathExists(path.join(getNeoForgeCacheDir(cacheDir, loaderVersion), 'libraries'))) {
+    await cacheNeoForgeInstaller(loaderVersion, cacheDir, options);
+    console.log(`   📋 Using cached NeoForge libraries`);
+    return;
+  }
+
+  const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'neoforge-'));
+  try {
+    await runNeoForgeInstaller(loaderVersion, scratchDir, cacheDir, options);
+  } finally {
+    await fs.remove(scratchDir);
+  }
+}
 
-    console.log(`   ✅ NeoForge installer downloaded`);
+/**
+ * Check whether serverDir still has the NeoForge install of a previous build
+ * server-info.json records the versions that build installed
+ */
+export async function hasNeoForgeInstall(serverDir, gameVersion, loaderVersion) {
+  const infoPath = path.join(serverDir, 'server-info.json');
+  if (!await fs.pathExists(infoPath)) {
+    return false;
+  }
 
-        // Run the installer with --server-starter flag
-    console.log(`   🚀 Installing NeoForge server...`);
-    await executeCommand('java', [
-      '-jar',
-      `neoforge-${loaderVersion}-installer.jar`,
-      '--installServer',
-      '--server-starter'
-    ], { cwd: serverDir });
+  const info = await fs.readJSON(infoPath);
+  return info.gameVersion === gameVersion &&
+    info.loaderVersion === loaderVersion &&
+    await fs.pathExists(path.join(serverDir, 'libraries', 'net', 'neoforged', 'neoforge', loaderVersion));
+}
 
-    console.log(`   ✅ NeoForge server installed successfully`);
+/**
+ * Download and install NeoForge server
+ * options.offline builds from the cache only, options.sources come from sources.json
+ */
+export async function downloadAndInstallNeoForge(gameVersion, loaderVersion, serverDir, cacheDir, options = {}) {
+  console.log(`⚙️  Setting up NeoForge ${loaderVersion}...`);
 
-    // Remove the installer after successful installation
-    console.log(`   🗑️  Cleaning up installer...`);
-    await fs.remove(installerPath);
-    console.log(`   ✅ Installer removed`);
+  try {
+    await runNeoForgeInstaller(loaderVersion, serverDir, cacheDir, options);
 
     // Check for the server jar created by NeoForge installer
     const serverJarPath = path.join(serverDir, 'server.jar');
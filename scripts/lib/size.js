@@ -0,0 +1,210 @@
+/**
+ * Build size reports
+ * Records what a release costs to download and compares reports between builds
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { listFiles } from './overrides.js';
+import { stableStringify } from './checksums.js';
+import { getModKey } from './changelog.js';
+import { getDownloadFilename } from './sources.js';
+
+// Number of mods listed in the heaviest mods section
+const HEAVIEST_MODS = 20;
+
+// Labels for the totals of each report type, in display order
+const TOTAL_LABELS = {
+  client: { download: 'Mod downloads', overrides: 'Overrides', archive: 'Archive', total: 'Total for players' },
+  server: { mods: 'Mods', libraries: 'Libraries', other: 'Other', total: 'Total' }
+};
+
+/**
+ * Format bytes to human readable format
+ */
+export function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(Math.abs(bytes)) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
+/**
+ * Format a size change with its sign
+ */
+export function formatDelta(bytes) {
+  if (bytes === 0) return '±0 B';
+  return `${bytes > 0 ? '+' : '-'}${formatBytes(Math.abs(bytes))}`;
+}
+
+/**
+ * Get the size report path for an artifact path or base name
+ */
+export function getSizeReportPath(artifactPath) {
+  return artifactPath.replace(/\.(mrpack|zip)$/, '') + '.size.json';
+}
+
+/**
+ * Describe mod jars keyed by project so updates that rename the jar can be compared
+ * files maps jar paths to sizes, jars that aren't in pack.json are keyed by path
+ */
+function describeMods(files, mods) {
+  const modsByPath = new Map(mods.map(mod => [`mods/${getDownloadFilename(mod)}`, mod]));
+  const described = {};
+
+  for (const [file, size] of Object.entries(files)) {
+    const mod = modsByPath.get(file);
+    described[mod ? getModKey(mod) : `file:${file}`] = { name: mod?.name || path.basename(file), path: file, size };
+  }
+
+  return described;
+}
+
+/**
+ * Pick the heaviest mods
+ */
+function getHeaviestMods(mods) {
+  return Object.values(mods)
+    .sort((a, b) => b.size - a.size || a.path.localeCompare(b.path, 'en'))
+    .slice(0, HEAVIEST_MODS);
+}
+
+/**
+ * Build the size report for a .mrpack
+ * Mod downloads only count files clients install, overrides count overrides/ and client-overrides/
+ */
+export async function createClientSizeReport(indexData, entries, outputPath, packMods) {
+  const modFiles = {};
+  for (const file of indexData.files) {
+    if (file.env?.client !== 'unsupported') {
+      modFiles[file.path] = file.fileSize || 0;
+    }
+  }
+
+  const files = Object.fromEntries(entries.map(entry => [entry.name, entry.size]));
+  const overrides = entries
+    .filter(entry => entry.name.startsWith('overrides/') || entry.name.startsWith('client-overrides/'))
+    .reduce((sum, entry) => sum + entry.size, 0);
+
+  const download = Object.values(modFiles).reduce((sum, size) => sum + size, 0);
+  const archive = (await fs.stat(outputPath)).size;
+  const mods = describeMods(modFiles, packMods);
+
+  return {
+    type: 'client',
+    artifact: path.basename(outputPath),
+    totals: { download, overrides, archive, total: download + archive },
+    mods,
+    heaviestMods: getHeaviestMods(mods),
+    files
+  };
+}
+
+/**
+ * Build the size report for a server directory, split into mods, libraries and everything else
+ * Library files are only counted, everything else is listed by path
+ */
+export async function createServerSizeReport(serverDir, artifact, packMods) {
+  const totals = { mods: 0, libraries: 0, other: 0, total: 0 };
+  const modFiles = {};
+  const files = {};
+
+  for (const file of await listFiles(serverDir)) {
+    const { size } = await fs.stat(path.join(serverDir, file));
+    const category = file.startsWith('mods/') ? 'mods' : file.startsWith('libraries/') ? 'libraries' : 'other';
+
+    totals[category] += size;
+    totals.total += size;
+
+    if (category === 'mods') modFiles[file] = size;
+    if (category !== 'libraries') files[file] = size;
+  }
+
+  const mods = describeMods(modFiles, packMods);
+
+  return {
+    type: 'server',
+    artifact,
+    totals,
+    mods,
+    heaviestMods: getHeaviestMods(mods),
+    files
+  };
+}
+
+/**
+ * Print a size report
+ */
+export function printSizeReport(report) {
+  console.log(`\n📏 Size report (${report.artifact}):`);
+  for (const [key, label] of Object.entries(TOTAL_LABELS[report.type])) {
+    console.log(`   ${label}: ${formatBytes(report.totals[key])}`);
+  }
+
+  if (report.heaviestMods.length > 0) {
+    console.log(`   🏋️ Heaviest mods:`);
+    report.heaviestMods.forEach((mod, index) => {
+      console.log(`      ${String(index + 1).padStart(2)}. ${formatBytes(mod.size).padStart(9)}  ${mod.name}`);
+    });
+  }
+}
+
+/**
+ * Print and save a size report
+ */
+export async function writeSizeReport(reportPath, report) {
+  printSizeReport(report);
+  await fs.writeFile(reportPath, stableStringify(report));
+  console.log(`   📄 Saved ${path.basename(reportPath)}`);
+}
+
+/**
+ * Diff two path to value maps
+ * Returns { added, removed, changed } where changed compares values
+ */
+function diffMaps(before = {}, after = {}) {
+  const added = Object.keys(after).filter(key => !(key in before)).sort();
+  const removed = Object.keys(before).filter(key => !(key in after)).sort();
+  const changed = Object.keys(after).filter(key => key in before && before[key] !== after[key]).sort();
+  return { added, removed, changed };
+}
+
+/**
+ * Compare two size reports, using build manifest hashes to find changed files when available
+ * Returns { totals, grew, shrank, added, removed, files }
+ */
+export function compareSizeReports(before, after, beforeManifest = null, afterManifest = null) {
+  const totals = Object.keys(TOTAL_LABELS[after.type]).map(key => ({
+    key,
+    label: TOTAL_LABELS[after.type][key],
+    before: before.totals[key] || 0,
+    after: after.totals[key] || 0,
+    delta: (after.totals[key] || 0) - (before.totals[key] || 0)
+  }));
+
+  const mods = diffMaps(
+    Object.fromEntries(Object.entries(before.mods).map(([key, mod]) => [key, mod.size])),
+    Object.fromEntries(Object.entries(after.mods).map(([key, mod]) => [key, mod.size]))
+  );
+  const sizeChanges = mods.changed.map(key => ({
+    name: after.mods[key].name,
+    from: before.mods[key],
+    to: after.mods[key],
+    delta: after.mods[key].size - before.mods[key].size
+  }));
+
+  // Hashes catch same-size changes, sizes are the fallback for server reports
+  const files = beforeManifest && afterManifest
+    ? diffMaps(beforeManifest.files, afterManifest.files)
+    : diffMaps(before.files, after.files);
+
+  return {
+    totals,
+    grew: sizeChanges.filter(change => change.delta > 0).sort((a, b) => b.delta - a.delta),
+    shrank: sizeChanges.filter(change => change.delta < 0).sort((a, b) => a.delta - b.delta),
+    added: mods.added.map(key => after.mods[key]),
+    removed: mods.removed.map(key => before.mods[key]),
+    files
+  };
+}
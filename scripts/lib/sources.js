@@ -0,0 +1,368 @@
+/**
+ * Mod download source utilities
+ * Resolves where a mod jar can be downloaded from (Modrinth, CurseForge or a direct URL) and which
+ * mirrors metadata/sources.json adds in front of or behind them
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { allowsRedistribution } from './licenses.js';
+
+// Artifact types that can have their own source list in sources.json
+const ARTIFACT_TYPES = ['mods', 'minecraft', 'neoforge'];
+
+// origin: where the artifact is published, http: a mirror or bucket URL template,
+// local: a file path template, maven: a Maven repository
+const SOURCE_TYPES = ['origin', 'http', 'local', 'maven'];
+
+/**
+ * Strip the .disabled suffix PrismLauncher uses for disabled mods
+ */
+export function getDownloadFilename(mod) {
+  return mod.filename.replace(/\.disabled$/, '');
+}
+
+/**
+ * Check whether a mod has complete Modrinth data
+ */
+export function hasModrinthSource(mod) {
+  return Boolean(mod.modrinth && mod.modrinth.modId && mod.modrinth.version);
+}
+
+/**
+ * Check whether a mod has complete CurseForge data
+ */
+export function hasCurseForgeSource(mod) {
+  return Boolean(mod.curseforge && mod.curseforge.projectId && mod.curseforge.fileId);
+}
+
+/**
+ * Check whether a mod is only downloadable from a direct URL (GitHub releases and other hosts)
+ */
+export function hasUrlSource(mod) {
+  return Boolean(mod.url) && !hasModrinthSource(mod) && !hasCurseForgeSource(mod);
+}
+
+/**
+ * Build the Modrinth CDN URL for a mod
+ */
+export function getModrinthUrl(mod) {
+  return `https://cdn.modrinth.com/data/${mod.modrinth.modId}/versions/${mod.modrinth.version}/${getDownloadFilename(mod)}`;
+}
+
+/**
+ * Build the CurseForge CDN URL for a mod
+ * Files live under /files/<first digits of file id>/<last three digits>/<filename>
+ */
+export function getCurseForgeUrl(mod) {
+  const fileId = Number(mod.curseforge.fileId);
+  return `https://edge.forgecdn.net/files/${Math.floor(fileId / 1000)}/${fileId % 1000}/${encodeURIComponent(getDownloadFilename(mod))}`;
+}
+
+/**
+ * Get the preferred download URL for a mod, or null if it has no known source
+ */
+export function getModDownloadUrl(mod) {
+  if (hasModrinthSource(mod)) {
+    return getModrinthUrl(mod);
+  }
+  if (hasCurseForgeSource(mod)) {
+    return getCurseForgeUrl(mod);
+  }
+  if (hasUrlSource(mod)) {
+    return mod.url;
+  }
+  return null;
+}
+
+/**
+ * Load download sources from metadata/sources.json
+ * Each artifact type maps to an ordered list of sources, types left out only use their origin
+ */
+export async function loadDownloadSources(metadataDir) {
+  const sourcesPath = path.join(metadataDir, 'sources.json');
+  const config = await fs.pathExists(sourcesPath) ? await fs.readJSON(sourcesPath) : {};
+  const sources = {};
+
+  for (const [artifactType, list] of Object.entries(config)) {
+    if (!ARTIFACT_TYPES.includes(artifactType)) {
+      throw new Error(`Unknown artifact type "${artifactType}" in sources.json (expected ${ARTIFACT_TYPES.join(', ')})`);
+    }
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error(`Sources for "${artifactType}" in sources.json must be a non-empty list`);
+    }
+
+    for (const source of list) {
+      if (!SOURCE_TYPES.includes(source.type)) {
+        throw new Error(`Invalid source type "${source.type}" for ${artifactType} in sources.json (expected ${SOURCE_TYPES.join(', ')})`);
+      }
+      if ((source.type === 'http' || source.type === 'maven') && !source.url) {
+        throw new Error(`${source.type} source for ${artifactType} in sources.json needs a "url"`);
+      }
+      if (source.type === 'local' && !source.path) {
+        throw new Error(`local source for ${artifactType} in sources.json needs a "path"`);
+      }
+    }
+  }
+
+  return Object.fromEntries(ARTIFACT_TYPES.map(artifactType => [artifactType, config[artifactType] || [{ type: 'origin' }]]));
+}
+
+/**
+ * Fill {name} placeholders, or return null when a value is missing so the source is skipped
+ */
+export function fillTemplate(template, vars, encode) {
+  let complete = true;
+  const filled = template.replace(/\{(\w+)\}/g, (match, key) => {
+    if (vars[key] === undefined || vars[key] === null || vars[key] === '') {
+      complete = false;
+      return match;
+    }
+    return encode(String(vars[key]));
+  });
+  return complete ? filled : null;
+}
+
+/**
+ * Build the path of an artifact in a Maven repository
+ */
+function getMavenPath({ group, artifact, version, classifier }) {
+  return `${group.replace(/\./g, '/')}/${artifact}/${version}/${artifact}-${version}${classifier ? `-${classifier}` : ''}.jar`;
+}
+
+/**
+ * Resolve one source to a URL for an artifact, or null when it can't serve it
+ * artifact is { origin, vars, maven, keys }, local sources resolve to file:// URLs
+ */
+function resolveSourceUrl(source, artifact) {
+  if (source.exclude?.some(key => artifact.keys.includes(key))) {
+    return null;
+  }
+
+  if (source.type === 'origin') {
+    return artifact.origin || null;
+  }
+  if (source.type === 'http') {
+    return fillTemplate(source.url, artifact.vars, encodeURIComponent);
+  }
+  if (source.type === 'local') {
+    const filePath = fillTemplate(source.path, artifact.vars, value => value);
+    return filePath ? pathToFileURL(path.resolve(filePath)).href : null;
+  }
+  if (source.type === 'maven') {
+    return artifact.maven ? `${source.url.replace(/\/$/, '')}/${getMavenPath(artifact.maven)}` : null;
+  }
+  return null;
+}
+
+/**
+ * Get the URLs to try for an artifact, in source order
+ * publicOnly keeps the origin and sources marked "public", the ones players can reach
+ */
+export function getArtifactUrls(artifact, sourceList, { publicOnly = false } = {}) {
+  const urls = sourceList
+    .filter(source => !publicOnly || source.type === 'origin' || (source.public && source.type !== 'local'))
+    .map(source => resolveSourceUrl(source, artifact))
+    .filter(Boolean);
+
+  return [...new Set(urls)];
+}
+
+/**
+ * Describe a mod for source resolution
+ * Template values: {filename}, {hash}, {sha1}, {sha512}, {projectId}, {versionId}, {fileId}
+ * Maven sources use Modrinth's maven.modrinth:<project>:<version> coordinates
+ */
+function getModArtifact(mod) {
+  const modrinth = hasModrinthSource(mod) ? mod.modrinth : null;
+
+  return {
+    origin: getModDownloadUrl(mod),
+    vars: {
+      filename: getDownloadFilename(mod),
+      hash: getModHash(mod).hash,
+      sha1: mod.sha1,
+      sha512: mod.sha512,
+      projectId: modrinth?.modId,
+      versionId: modrinth?.version,
+      fileId: hasCurseForgeSource(mod) ? mod.curseforge.fileId : null
+    },
+    maven: modrinth ? { group: 'maven.modrinth', artifact: modrinth.modId, version: modrinth.version } : null,
+    keys: [mod.modid, mod.filename].filter(Boolean)
+  };
+}
+
+/**
+ * Get every URL a mod can be downloaded from, in the order sources.json lists them
+ */
+export function getModDownloadUrls(mod, sources) {
+  return getArtifactUrls(getModArtifact(mod), sources.mods);
+}
+
+/**
+ * Get the URLs players' launchers can download a mod from, for the .mrpack downloads list
+ */
+export function getPublicModUrls(mod, sources) {
+  return getArtifactUrls(getModArtifact(mod), sources.mods, { publicOnly: true });
+}
+
+/**
+ * Get the public mirrors that serve a mod, other than where it is published
+ * Returns the sources.json entries
+ */
+export function getPublicMirrors(mod, sources) {
+  const artifact = getModArtifact(mod);
+  return sources.mods.filter(source =>
+    source.public && (source.type === 'http' || source.type === 'maven') && resolveSourceUrl(source, artifact)
+  );
+}
+
+/**
+ * Get the strongest hash recorded for a mod
+ */
+export function getModHash(mod) {
+  if (mod.sha512) {
+    return { hash: mod.sha512, hashType: 'sha512' };
+  }
+  if (mod.sha1) {
+    return { hash: mod.sha1, hashType: 'sha1' };
+  }
+  return { hash: null, hashType: 'sha512' };
+}
+
+/**
+ * Load CurseForge settings from metadata/curseforge.json
+ * mods: per-mod distribution decisions, mappings: CurseForge ids for Modrinth mods,
+ * unmappedMods: "report" or "bundle" for the CurseForge export
+ */
+export async function loadCurseForgePolicy(metadataDir) {
+  const policyPath = path.join(metadataDir, 'curseforge.json');
+  const defaults = { mods: {}, mappings: {}, unmappedMods: 'report' };
+
+  if (!await fs.pathExists(policyPath)) {
+    return defaults;
+  }
+
+  const policy = { ...defaults, ...await fs.readJSON(policyPath) };
+
+  if (policy.unmappedMods !== 'report' && policy.unmappedMods !== 'bundle') {
+    throw new Error(`Invalid unmappedMods policy "${policy.unmappedMods}" in curseforge.json (expected "report" or "bundle")`);
+  }
+
+  return policy;
+}
+
+/**
+ * Decide how a CurseForge-sourced mod is distributed in the client pack
+ * Returns { action: 'cdn' | 'exclude', reason }
+ */
+export function resolveCurseForgeDecision(mod, policy) {
+  const entry = policy.mods[mod.modid] || policy.mods[mod.filename];
+
+  if (entry) {
+    const action = typeof entry === 'string' ? entry : entry.action;
+    if (action !== 'cdn' && action !== 'exclude') {
+      throw new Error(`Invalid CurseForge policy action "${action}" for ${mod.modid} (expected "cdn" or "exclude")`);
+    }
+    return { action, reason: entry.reason || `${action} by curseforge.json policy` };
+  }
+
+  if (mod.curseforge.allowDistribution === true) {
+    return { action: 'cdn', reason: 'project allows third-party distribution' };
+  }
+
+  if (mod.curseforge.allowDistribution === false) {
+    return { action: 'exclude', reason: 'project disallows third-party distribution' };
+  }
+
+  if (allowsRedistribution(mod.license)) {
+    return { action: 'cdn', reason: `${mod.license} license` };
+  }
+
+  return {
+    action: 'exclude',
+    reason: `license "${mod.license || 'unknown'}" does not permit distribution, add a decision to curseforge.json`
+  };
+}
+
+/**
+ * Fill in CurseForge project ids for mods that only know their file id (CDN URLs don't include it)
+ * Uses curseforge.json "mappings" with the same file id, then the CurseForge API when CURSEFORGE_API_KEY is set
+ */
+export async function resolveCurseForgeProjects(mods, policy) {
+  const pending = mods.filter(mod => mod.curseforge?.fileId && !mod.curseforge.projectId);
+
+  for (const mod of pending) {
+    const mapping = Object.values(policy.mappings).find(entry => Number(entry.fileId) === Number(mod.curseforge.fileId));
+    if (mapping?.projectId) {
+      mod.curseforge.projectId = mapping.projectId;
+    }
+  }
+
+  const unresolved = pending.filter(mod => !mod.curseforge.projectId);
+  const apiKey = process.env.CURSEFORGE_API_KEY;
+
+  if (!apiKey || unresolved.length === 0) {
+    return;
+  }
+
+  console.log(`🔥 Looking up CurseForge projects for ${unresolved.length} files...`);
+  const apiUrl = process.env.CURSEFORGE_API_URL || 'https://api.curseforge.com';
+  const fetch = (await import('node-fetch')).default;
+
+  try {
+    const response = await fetch(`${apiUrl}/v1/mods/files`, {
+      method: 'POST',
+      headers: { 'x-api-key': apiKey, 'Accept': 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fileIds: unresolved.map(mod => Number(mod.curseforge.fileId)) })
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const { data } = await response.json();
+    const projectIds = new Map(data.map(file => [file.id, file.modId]));
+    for (const mod of unresolved) {
+      mod.curseforge.projectId = projectIds.get(Number(mod.curseforge.fileId)) || null;
+    }
+  } catch (error) {
+    console.warn(`⚠️  Failed to look up CurseForge projects: ${error.message}`);
+  }
+}
+
+/**
+ * Look up CurseForge distribution permissions for mods
+ * Requires CURSEFORGE_API_KEY, otherwise leaves mods unchanged
+ */
+export async function fetchCurseForgeDistribution(mods) {
+  const apiKey = process.env.CURSEFORGE_API_KEY;
+  const curseforgeMods = mods.filter(hasCurseForgeSource);
+
+  if (!apiKey || curseforgeMods.length === 0) {
+    return;
+  }
+
+  console.log(`🔥 Checking CurseForge distribution permissions for ${curseforgeMods.length} mods...`);
+  const apiUrl = process.env.CURSEFORGE_API_URL || 'https://api.curseforge.com';
+  const fetch = (await import('node-fetch')).default;
+
+  for (const mod of curseforgeMods) {
+    try {
+      const response = await fetch(`${apiUrl}/v1/mods/${mod.curseforge.projectId}`, {
+        headers: { 'x-api-key': apiKey, 'Accept': 'application/json' }
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const { data } = await response.json();
+      // The API leaves allowModDistribution null for projects that never chose, which is not a yes
+      mod.curseforge.allowDistribution = data.allowModDistribution === true;
+    } catch (error) {
+      console.warn(`⚠️  Failed to check ${mod.name}: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { fillTemplate, getArtifactUrls, getModDownloadUrl, getModDownloadUrls, getPublicModUrls, loadDownloadSources, resolveCurseForgeProjects } from './sources.js';
+
+describe('fillTemplate', () => {
+  it('fills placeholders with encoded values', () => {
+    expect(fillTemplate('https://m.example.com/{sha1}/{filename}', { sha1: 'abc', filename: 'a b.jar' }, encodeURIComponent))
+      .toBe('https://m.example.com/abc/a%20b.jar');
+  });
+
+  it('returns null when a value is missing or empty', () => {
+    expect(fillTemplate('{projectId}/{filename}', { filename: 'a.jar' }, value => value)).toBeNull();
+    expect(fillTemplate('{fileId}', { fileId: '' }, value => value)).toBeNull();
+  });
+});
+
+describe('getArtifactUrls', () => {
+  const artifact = {
+    origin: 'https://cdn.modrinth.com/data/P7dR8mSH/versions/abc/create.jar',
+    vars: { filename: 'create.jar', sha1: 'a'.repeat(40), projectId: 'P7dR8mSH', versionId: 'abc' },
+    maven: { group: 'maven.modrinth', artifact: 'P7dR8mSH', version: 'abc' },
+    keys: ['create', 'create.jar']
+  };
+
+  it('resolves every source type in order', () => {
+    const urls = getArtifactUrls(artifact, [
+      { type: 'local', path: '/srv/mods/{filename}' },
+      { type: 'http', url: 'https://mirror.example.com/{sha1}/{filename}' },
+      { type: 'maven', url: 'https://maven.example.com/releases/' },
+      { type: 'origin' }
+    ]);
+    expect(urls).toEqual([
+      pathToFileURL(path.resolve('/srv/mods/create.jar')).href,
+      `https://mirror.example.com/${'a'.repeat(40)}/create.jar`,
+      'https://maven.example.com/releases/maven/modrinth/P7dR8mSH/abc/P7dR8mSH-abc.jar',
+      artifact.origin
+    ]);
+  });
+
+  it('skips excluded artifacts, missing template values and duplicates', () => {
+    const urls = getArtifactUrls(artifact, [
+      { type: 'http', url: 'https://a.example.com/{filename}', exclude: ['create'] },
+      { type: 'http', url: 'https://b.example.com/{fileId}' },
+      { type: 'origin' },
+      { type: 'http', url: artifact.origin }
+    ]);
+    expect(urls).toEqual([artifact.origin]);
+  });
+
+  it('only keeps the origin and public remote sources with publicOnly', () => {
+    const urls = getArtifactUrls(artifact, [
+      { type: 'local', path: '/srv/mods/{filename}', public: true },
+      { type: 'http', url: 'https://private.example.com/{filename}' },
+      { type: 'http', url: 'https://public.example.com/{filename}', public: true },
+      { type: 'origin' }
+    ], { publicOnly: true });
+    expect(urls).toEqual(['https://public.example.com/create.jar', artifact.origin]);
+  });
+});
+
+describe('mod download URLs', () => {
+  const mod = {
+    filename: 'create.jar.disabled',
+    modid: 'create',
+    sha512: 'c'.repeat(128),
+    modrinth: { modId: 'P7dR8mSH', version: 'abc' }
+  };
+
+  it('uses the download filename and Modrinth ids', async () => {
+    const sources = {
+      mods: [
+        { type: 'http', url: 'https://mirror.example.com/{projectId}/{versionId}/{filename}', public: true },
+        { type: 'origin' }
+      ]
+    };
+    const urls = getModDownloadUrls(mod, sources);
+    expect(urls[0]).toBe('https://mirror.example.com/P7dR8mSH/abc/create.jar');
+    expect(urls[1]).toContain('cdn.modrinth.com');
+    expect(getPublicModUrls(mod, sources)).toEqual(urls);
+  });
+
+  it('falls back to a direct URL only without Modrinth or CurseForge data', () => {
+    const url = 'https://github.com/a/b/releases/download/1.0/b.jar';
+    expect(getModDownloadUrl({ filename: 'b.jar', url })).toBe(url);
+    expect(getModDownloadUrl({ ...mod, url })).toContain('cdn.modrinth.com');
+    expect(getModDownloadUrl({ filename: 'b.jar', url: null })).toBe(null);
+  });
+});
+
+describe('resolveCurseForgeProjects', () => {
+  it('takes project ids from curseforge.json mappings with the same file id', async () => {
+    const mods = [
+      { filename: 'a.jar', curseforge: { projectId: null, fileId: 5012345 } },
+      { filename: 'b.jar', curseforge: { projectId: null, fileId: 5099999 } }
+    ];
+    const apiKey = process.env.CURSEFORGE_API_KEY;
+    delete process.env.CURSEFORGE_API_KEY;
+    try {
+      await resolveCurseForgeProjects(mods, { mappings: { a: { projectId: 238222, fileId: '5012345' } } });
+    } finally {
+      if (apiKey !== undefined) process.env.CURSEFORGE_API_KEY = apiKey;
+    }
+    expect(mods[0].curseforge.projectId).toBe(238222);
+    expect(mods[1].curseforge.projectId).toBe(null);
+  });
+});
+
+describe('loadDownloadSources', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sources-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('defaults every artifact type to its origin', async () => {
+    expect(await loadDownloadSources(dir)).toEqual({
+      mods: [{ type: 'origin' }],
+      minecraft: [{ type: 'origin' }],
+      neoforge: [{ type: 'origin' }]
+    });
+  });
+
+  it('rejects unknown artifact types and incomplete sources', async () => {
+    await fs.writeJSON(path.join(dir, 'sources.json'), { fabric: [{ type: 'origin' }] });
+    await expect(loadDownloadSources(dir)).rejects.toThrow('Unknown artifact type "fabric"');
+
+    await fs.writeJSON(path.join(dir, 'sources.json'), { mods: [{ type: 'http' }] });
+    await expect(loadDownloadSources(dir)).rejects.toThrow('needs a "url"');
+
+    await fs.writeJSON(path.join(dir, 'sources.json'), { mods: [] });
+    await expect(loadDownloadSources(dir)).rejects.toThrow('must be a non-empty list');
+  });
+});
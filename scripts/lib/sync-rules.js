@@ -0,0 +1,155 @@
+/**
+ * Instance asset sync rules
+ * Defines which instance files are tracked in metadata, extended by metadata/sync.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Assets copied between an instance (sourcePath) and metadata (targetPath)
+ * Directory assets only track files matching their include and exclude patterns
+ */
+export const INSTANCE_ASSETS = [
+  {
+    name: 'configureddefaults',
+    type: 'directory',
+    sourcePath: 'minecraft/configureddefaults',
+    targetPath: 'configureddefaults',
+    description: 'Default files managed by Configured Defaults mod',
+    include: ['**'],
+    exclude: []
+  },
+  {
+    name: 'config',
+    type: 'directory',
+    sourcePath: 'minecraft/config',
+    targetPath: 'config',
+    description: 'Mod configs (only files listed in sync.json)',
+    include: [],
+    exclude: []
+  },
+  {
+    name: 'defaultconfigs',
+    type: 'directory',
+    sourcePath: 'minecraft/defaultconfigs',
+    targetPath: 'defaultconfigs',
+    description: 'Default server configs copied into new worlds',
+    include: ['**'],
+    exclude: []
+  },
+  {
+    name: 'kubejs',
+    type: 'directory',
+    sourcePath: 'minecraft/kubejs',
+    targetPath: 'kubejs',
+    description: 'KubeJS scripts',
+    include: ['**'],
+    exclude: ['exported/**']
+  },
+  {
+    name: 'datapacks',
+    type: 'directory',
+    sourcePath: 'minecraft/datapacks',
+    targetPath: 'datapacks',
+    description: 'Global datapacks (managed by Paxi mod)',
+    include: ['**'],
+    exclude: []
+  },
+  {
+    name: 'resourcepacks',
+    type: 'directory',
+    sourcePath: 'minecraft/resourcepacks',
+    targetPath: 'resourcepacks',
+    description: 'Global resource packs (managed by Paxi mod)',
+    include: ['**'],
+    exclude: []
+  },
+  {
+    name: 'shaderpacks',
+    type: 'directory',
+    sourcePath: 'minecraft/shaderpacks',
+    targetPath: 'shaderpacks',
+    description: 'Shader packs for visual effects',
+    include: ['**'],
+    exclude: []
+  },
+  {
+    name: 'icon.png',
+    type: 'file',
+    sourcePath: 'minecraft/icon.png',
+    targetPath: 'icon.png',
+    description: 'Instance icon'
+  },
+  {
+    name: 'servers.dat',
+    type: 'file',
+    sourcePath: 'minecraft/servers.dat',
+    targetPath: 'servers.dat',
+    description: 'Server list'
+  }
+];
+
+/**
+ * Match a posix-relative path against a pattern where * matches within a directory and ** across them
+ */
+export function matchesFilePattern(filePath, pattern) {
+  const source = pattern
+    .split('**')
+    .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(filePath);
+}
+
+/**
+ * Check whether a path inside a directory asset is tracked
+ */
+export function isTrackedFile(asset, relativePath) {
+  return asset.include.some(pattern => matchesFilePattern(relativePath, pattern)) &&
+    !asset.exclude.some(pattern => matchesFilePattern(relativePath, pattern));
+}
+
+/**
+ * Load the instance asset list with rules from metadata/sync.json
+ * "assets" maps a directory under minecraft/ to { include, exclude } patterns,
+ * include replaces the default patterns and exclude adds to them
+ */
+export function loadInstanceAssets(metadataDir) {
+  const rulesPath = path.join(metadataDir, 'sync.json');
+  const rules = fs.existsSync(rulesPath) ? JSON.parse(fs.readFileSync(rulesPath, 'utf8')).assets || {} : {};
+  const assets = INSTANCE_ASSETS.map(asset => ({ ...asset }));
+
+  for (const [name, rule] of Object.entries(rules)) {
+    if (name.includes('..') || path.isAbsolute(name)) {
+      throw new Error(`Invalid asset directory "${name}" in sync.json`);
+    }
+
+    let asset = assets.find(candidate => candidate.name === name);
+
+    if (asset?.type === 'file') {
+      throw new Error(`${name} is a single file asset and has no include/exclude rules in sync.json`);
+    }
+
+    if (!asset) {
+      asset = {
+        name,
+        type: 'directory',
+        sourcePath: `minecraft/${name}`,
+        targetPath: name,
+        description: rule.description || `${name}/ (sync.json)`,
+        include: ['**'],
+        exclude: []
+      };
+      assets.push(asset);
+    }
+
+    if (rule.include) {
+      asset.include = rule.include;
+    }
+    if (rule.exclude) {
+      asset.exclude = [...asset.exclude, ...rule.exclude];
+    }
+  }
+
+  return assets;
+}
@@ -0,0 +1,187 @@
+/**
+ * Dependency graph validation utilities
+ * Catches missing, mismatched and incompatible mods before a build or server boot does
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { readJarMetadata } from './jar.js';
+import { satisfiesRange } from './versions.js';
+
+// Dependencies provided by the runtime rather than by a mod jar
+const IGNORED_DEPENDENCIES = ['java'];
+
+/**
+ * Find a local copy of a mod jar in the download cache or the instance
+ */
+export async function findModJar(mod, { cacheDir, instancePath } = {}) {
+  const candidates = [];
+
+  if (cacheDir && mod.sha512) {
+    candidates.push(path.join(cacheDir, `${mod.sha512}.mod`));
+  }
+
+  if (instancePath) {
+    candidates.push(path.join(instancePath, 'minecraft/mods', mod.filename));
+  }
+
+  for (const candidate of candidates) {
+    if (await fs.pathExists(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load dependency declarations for each mod
+ * Reads the jar when a local copy exists, otherwise uses the data sync stored in pack.json
+ */
+export async function loadModDeclarations(mods, options = {}) {
+  const declarations = [];
+
+  for (const mod of mods) {
+    let declaration = null;
+    const jarPath = await findModJar(mod, options);
+
+    if (jarPath) {
+      try {
+        declaration = readJarMetadata(jarPath);
+      } catch (error) {
+        console.warn(`   ⚠️  Failed to read ${mod.filename}: ${error.message}`);
+      }
+    }
+
+    if (!declaration && mod.dependencies) {
+      declaration = {
+        loader: mod.loader,
+        modid: mod.modid,
+        version: mod.version,
+        dependencies: mod.dependencies,
+        provides: mod.provides || []
+      };
+    }
+
+    declarations.push({ mod, declaration });
+  }
+
+  return declarations;
+}
+
+/**
+ * Check whether a mod is loaded in the given environment
+ */
+function isInEnvironment(mod, environment) {
+  if (mod.disabled) {
+    return false;
+  }
+  return mod.side === 'both' || mod.side === environment;
+}
+
+/**
+ * Build the dependency graph for one environment (client or server)
+ */
+export function buildDependencyGraph(declarations, packInfo, environment) {
+  const providers = new Map();
+  const nodes = [];
+
+  const addProvider = (modId, provider) => {
+    if (!providers.has(modId)) {
+      providers.set(modId, []);
+    }
+    providers.get(modId).push(provider);
+  };
+
+  // The game and loader satisfy dependencies like any mod would
+  addProvider('minecraft', { source: 'minecraft', version: packInfo.gameVersion, builtin: true });
+  addProvider(packInfo.loaderType, { source: packInfo.loaderType, version: packInfo.loaderVersion, builtin: true });
+  if (packInfo.loaderType === 'fabric') {
+    addProvider('fabricloader', { source: 'fabric', version: packInfo.loaderVersion, builtin: true });
+  }
+
+  for (const { mod, declaration } of declarations) {
+    if (!isInEnvironment(mod, environment)) {
+      continue;
+    }
+
+    nodes.push({ mod, declaration });
+
+    if (!declaration) {
+      continue;
+    }
+
+    addProvider(declaration.modid, { source: mod.filename, version: declaration.version, primary: true });
+    for (const provided of declaration.provides) {
+      addProvider(provided.modId, { source: mod.filename, version: provided.version });
+    }
+  }
+
+  return { environment, nodes, providers };
+}
+
+/**
+ * Validate a dependency graph and collect errors and warnings
+ */
+export function validateDependencyGraph(graph) {
+  const errors = [];
+  const warnings = [];
+  const unverified = [];
+  const { environment, nodes, providers } = graph;
+
+  // Duplicate mod ids (bundled jar-in-jar copies are deduplicated by the loader)
+  for (const [modId, modProviders] of providers.entries()) {
+    const primaries = modProviders.filter(p => p.primary);
+    if (primaries.length > 1) {
+      errors.push(`[${environment}] Duplicate mod id "${modId}" in ${primaries.map(p => p.source).join(', ')}`);
+    }
+  }
+
+  for (const { mod, declaration } of nodes) {
+    const modName = mod.name || mod.filename;
+
+    if (!declaration) {
+      unverified.push(mod.filename);
+      continue;
+    }
+
+    for (const dep of declaration.dependencies) {
+      if (IGNORED_DEPENDENCIES.includes(dep.modId)) continue;
+      if (dep.side !== 'both' && dep.side !== environment) continue;
+
+      const candidates = providers.get(dep.modId) || [];
+      const matching = candidates.filter(p => satisfiesRange(p.version, dep.versionRange, declaration.loader));
+      const found = candidates.length > 0 ? candidates.map(p => `${p.version || 'unknown'} from ${p.source}`).join(', ') : null;
+
+      switch (dep.type) {
+        case 'required':
+          if (!found) {
+            errors.push(`[${environment}] ${modName} requires missing mod "${dep.modId}" ${dep.versionRange}`);
+          } else if (matching.length === 0) {
+            errors.push(`[${environment}] ${modName} requires "${dep.modId}" ${dep.versionRange}, found ${found}`);
+          }
+          break;
+
+        case 'optional':
+          if (found && matching.length === 0) {
+            errors.push(`[${environment}] ${modName} supports "${dep.modId}" ${dep.versionRange} only, found ${found}`);
+          }
+          break;
+
+        case 'incompatible':
+          if (matching.length > 0) {
+            errors.push(`[${environment}] ${modName} is incompatible with "${dep.modId}" ${dep.versionRange} (${found})`);
+          }
+          break;
+
+        case 'discouraged':
+          if (matching.length > 0) {
+            warnings.push(`[${environment}] ${modName} discourages "${dep.modId}" ${dep.versionRange} (${found})`);
+          }
+          break;
+      }
+    }
+  }
+
+  return { errors, warnings, unverified };
+}
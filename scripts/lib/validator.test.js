@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { buildDependencyGraph, validateDependencyGraph } from './validator.js';
+
+const packInfo = { gameVersion: '1.21.1', loaderType: 'neoforge', loaderVersion: '21.1.77' };
+
+function entry(filename, modid, version, dependencies = [], { side = 'both', provides = [] } = {}) {
+  return {
+    mod: { filename, name: modid, side },
+    declaration: { loader: 'neoforge', modid, version, dependencies, provides }
+  };
+}
+
+function dependency(modId, versionRange, type = 'required', side = 'both') {
+  return { modId, versionRange, type, side };
+}
+
+function validate(declarations, environment = 'server') {
+  return validateDependencyGraph(buildDependencyGraph(declarations, packInfo, environment));
+}
+
+describe('validateDependencyGraph', () => {
+  it('passes when dependencies, the game and the loader match', () => {
+    const result = validate([
+      entry('create.jar', 'create', '6.0.4', [dependency('minecraft', '[1.21.1]'), dependency('neoforge', '[21.1,)'), dependency('flywheel', '[1.0,)')]),
+      entry('flywheel.jar', 'flywheel', '1.0.2')
+    ]);
+    expect(result.errors).toEqual([]);
+  });
+
+  it('reports missing and mismatched required dependencies', () => {
+    const result = validate([
+      entry('a.jar', 'a', '1.0', [dependency('missing', '[1.0,)'), dependency('b', '[2.0,)')]),
+      entry('b.jar', 'b', '1.5')
+    ]);
+    expect(result.errors).toEqual([
+      '[server] a requires missing mod "missing" [1.0,)',
+      '[server] a requires "b" [2.0,), found 1.5 from b.jar'
+    ]);
+  });
+
+  it('only reports optional dependencies that are present in the wrong version', () => {
+    const result = validate([
+      entry('a.jar', 'a', '1.0', [dependency('absent', '[1.0,)', 'optional'), dependency('b', '[2.0,)', 'optional')]),
+      entry('b.jar', 'b', '1.5')
+    ]);
+    expect(result.errors).toEqual(['[server] a supports "b" [2.0,) only, found 1.5 from b.jar']);
+  });
+
+  it('reports incompatible mods as errors and discouraged mods as warnings', () => {
+    const result = validate([
+      entry('a.jar', 'a', '1.0', [dependency('b', '*', 'incompatible'), dependency('c', '*', 'discouraged')]),
+      entry('b.jar', 'b', '1.0'),
+      entry('c.jar', 'c', '1.0')
+    ]);
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0]).toContain('is incompatible with "b"');
+    expect(result.warnings).toHaveLength(1);
+    expect(result.warnings[0]).toContain('discourages "c"');
+  });
+
+  it('reports duplicate mod ids but not provided copies', () => {
+    const result = validate([
+      entry('a-1.jar', 'a', '1.0'),
+      entry('a-2.jar', 'a', '1.1'),
+      entry('c.jar', 'c', '1.0', [], { provides: [{ modId: 'a', version: '1.0' }] })
+    ]);
+    expect(result.errors).toEqual(['[server] Duplicate mod id "a" in a-1.jar, a-2.jar']);
+  });
+
+  it('satisfies dependencies with provided mod ids', () => {
+    const result = validate([
+      entry('a.jar', 'a', '1.0', [dependency('lib', '[1.0,)')]),
+      entry('c.jar', 'c', '1.0', [], { provides: [{ modId: 'lib', version: '1.2' }] })
+    ]);
+    expect(result.errors).toEqual([]);
+  });
+
+  it('skips mods and dependencies from the other side', () => {
+    const result = validate([
+      entry('client.jar', 'client', '1.0', [dependency('missing', '*')], { side: 'client' }),
+      entry('a.jar', 'a', '1.0', [dependency('missing', '*', 'required', 'client')])
+    ]);
+    expect(result.errors).toEqual([]);
+  });
+
+  it('lists mods without a declaration as unverified', () => {
+    const result = validate([{ mod: { filename: 'mystery.jar', side: 'both' }, declaration: null }]);
+    expect(result.unverified).toEqual(['mystery.jar']);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Version comparison and range matching utilities
+ * Supports Maven ranges (NeoForge/Forge mods.toml) and Fabric semver predicates
+ */
+
+const QUALIFIER_ORDER = ['alpha', 'a', 'beta', 'b', 'milestone', 'm', 'rc', 'cr', 'snapshot', '', 'ga', 'final', 'release', 'sp'];
+
+/**
+ * Split a version string into comparable tokens
+ * "1.21.1-beta.2" → [1, 21, 1, 'beta', 2]
+ */
+function tokenize(version) {
+  return String(version)
+    .toLowerCase()
+    .replace(/\+.*$/, '') // build metadata never affects ordering
+    .split(/[.\-_]|(?<=\d)(?=[a-z])|(?<=[a-z])(?=\d)/)
+    .filter(token => token !== '')
+    .map(token => /^\d+$/.test(token) ? parseInt(token, 10) : token);
+}
+
+/**
+ * Rank a qualifier token; unknown qualifiers sort after releases
+ */
+function qualifierRank(token) {
+  const index = QUALIFIER_ORDER.indexOf(token);
+  return index === -1 ? QUALIFIER_ORDER.length : index;
+}
+
+/**
+ * Compare two version strings
+ * Returns negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const left = tokenize(a);
+  const right = tokenize(b);
+  const length = Math.max(left.length, right.length);
+  const releaseRank = qualifierRank('');
+
+  for (let i = 0; i < length; i++) {
+    const l = left[i];
+    const r = right[i];
+
+    if (l === r) continue;
+
+    // Missing tokens behave like 0 next to numbers, like a release next to qualifiers
+    if (l === undefined) {
+      return typeof r === 'number' ? (r === 0 ? 0 : -1) : releaseRank - qualifierRank(r);
+    }
+    if (r === undefined) {
+      return typeof l === 'number' ? (l === 0 ? 0 : 1) : qualifierRank(l) - releaseRank;
+    }
+
+    if (typeof l === 'number' && typeof r === 'number') {
+      return l - r;
+    }
+
+    // Numbers always sort after qualifiers (1.0.1 > 1.0-beta)
+    if (typeof l === 'number') return 1;
+    if (typeof r === 'number') return -1;
+
+    const rankDiff = qualifierRank(l) - qualifierRank(r);
+    if (rankDiff !== 0) return rankDiff;
+
+    return l < r ? -1 : 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Check a version against a Maven version range such as "[1.0,2.0)" or "[21.1,)"
+ * A bare version is a recommendation in Maven and therefore always satisfied
+ */
+export function satisfiesMavenRange(version, range) {
+  if (!range || range.trim() === '' || range.trim() === '*') {
+    return true;
+  }
+
+  const restrictions = range.match(/[\[(][^\])]*[\])]/g);
+  if (!restrictions) {
+    return true;
+  }
+
+  return restrictions.some(restriction => {
+    const lowerInclusive = restriction.startsWith('[');
+    const upperInclusive = restriction.endsWith(']');
+    const inner = restriction.slice(1, -1);
+
+    // "[1.0]" pins an exact version
+    if (!inner.includes(',')) {
+      return compareVersions(version, inner.trim()) === 0;
+    }
+
+    const [lower, upper] = inner.split(',').map(part => part.trim());
+
+    if (lower) {
+      const cmp = compareVersions(version, lower);
+      if (cmp < 0 || (cmp === 0 && !lowerInclusive)) return false;
+    }
+
+    if (upper) {
+      const cmp = compareVersions(version, upper);
+      if (cmp > 0 || (cmp === 0 && !upperInclusive)) return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Check a single Fabric/semver comparator such as ">=1.2", "~1.2.3", "^1.0" or "1.20.x"
+ */
+function satisfiesComparator(version, comparator) {
+  if (comparator === '*' || comparator === '') {
+    return true;
+  }
+
+  const match = comparator.match(/^(>=|<=|>|<|=|~|\^)?\s*(.+)$/);
+  const operator = match[1] || '=';
+  const target = match[2];
+
+  // "1.20.x" behaves like "~1.20"
+  if (/\.[xX*]$/.test(target)) {
+    return satisfiesComparator(version, `~${target.replace(/\.[xX*]$/, '')}`);
+  }
+
+  const cmp = compareVersions(version, target);
+  const parts = tokenize(target).filter(token => typeof token === 'number');
+
+  switch (operator) {
+    case '>=': return cmp >= 0;
+    case '<=': return cmp <= 0;
+    case '>': return cmp > 0;
+    case '<': return cmp < 0;
+    case '=': return cmp === 0;
+    case '~': {
+      // Same major.minor, at least target
+      const upper = parts.length > 1 ? `${parts[0]}.${parts[1] + 1}` : `${parts[0] + 1}`;
+      return cmp >= 0 && compareVersions(version, upper) < 0;
+    }
+    case '^': {
+      // Same major, at least target
+      return cmp >= 0 && compareVersions(version, `${(parts[0] || 0) + 1}`) < 0;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a version against a Fabric version predicate
+ * "||" separates alternatives, whitespace separates comparators that must all match
+ */
+export function satisfiesFabricPredicate(version, predicate) {
+  if (!predicate || predicate.trim() === '' || predicate.trim() === '*') {
+    return true;
+  }
+
+  return predicate.split('||').some(alternative => {
+    const comparators = alternative.trim()
+      .replace(/(>=|<=|>|<|=|~|\^)\s+/g, '$1')
+      .split(/\s+/);
+    return comparators.every(comparator => satisfiesComparator(version, comparator));
+  });
+}
+
+/**
+ * Check a version against a range declared by a mod for the given loader
+ */
+export function satisfiesRange(version, range, loader) {
+  if (!version) {
+    return true;
+  }
+
+  return loader === 'fabric'
+    ? satisfiesFabricPredicate(version, range)
+    : satisfiesMavenRange(version, range);
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { compareVersions, satisfiesMavenRange, satisfiesFabricPredicate, satisfiesRange } from './versions.js';
+
+describe('compareVersions', () => {
+  it('compares numeric parts numerically', () => {
+    expect(compareVersions('1.10.0', '1.9.0')).toBeGreaterThan(0);
+    expect(compareVersions('21.1.77', '21.1.77')).toBe(0);
+  });
+
+  it('treats missing parts as zero', () => {
+    expect(compareVersions('1.21', '1.21.0')).toBe(0);
+  });
+
+  it('sorts pre-releases before the release', () => {
+    expect(compareVersions('1.0-beta', '1.0')).toBeLessThan(0);
+    expect(compareVersions('1.0-alpha.2', '1.0-beta.1')).toBeLessThan(0);
+    expect(compareVersions('1.0-rc1', '1.0-beta3')).toBeGreaterThan(0);
+  });
+
+  it('ignores build metadata', () => {
+    expect(compareVersions('3.8.0+1.21.1-neoforge', '3.8.0')).toBe(0);
+  });
+});
+
+describe('satisfiesMavenRange', () => {
+  it('matches bounded and open ranges', () => {
+    expect(satisfiesMavenRange('21.1.77', '[21.1,)')).toBe(true);
+    expect(satisfiesMavenRange('21.0.9', '[21.1,)')).toBe(false);
+    expect(satisfiesMavenRange('1.5', '[1.0,2.0)')).toBe(true);
+    expect(satisfiesMavenRange('2.0', '[1.0,2.0)')).toBe(false);
+    expect(satisfiesMavenRange('2.0', '[1.0,2.0]')).toBe(true);
+    expect(satisfiesMavenRange('1.0', '(1.0,2.0]')).toBe(false);
+  });
+
+  it('matches exact pins', () => {
+    expect(satisfiesMavenRange('1.21.1', '[1.21.1]')).toBe(true);
+    expect(satisfiesMavenRange('1.21', '[1.21.1]')).toBe(false);
+  });
+
+  it('matches any of several restrictions', () => {
+    expect(satisfiesMavenRange('1.5', '[1.0,1.2),[1.4,)')).toBe(true);
+    expect(satisfiesMavenRange('1.3', '[1.0,1.2),[1.4,)')).toBe(false);
+  });
+
+  it('treats empty, wildcard and bare versions as satisfied', () => {
+    expect(satisfiesMavenRange('1.0', '')).toBe(true);
+    expect(satisfiesMavenRange('1.0', '*')).toBe(true);
+    expect(satisfiesMavenRange('1.0', '2.0')).toBe(true);
+  });
+});
+
+describe('satisfiesFabricPredicate', () => {
+  it('matches comparators', () => {
+    expect(satisfiesFabricPredicate('0.16.5', '>=0.15')).toBe(true);
+    expect(satisfiesFabricPredicate('0.14.0', '>=0.15')).toBe(false);
+    expect(satisfiesFabricPredicate('1.21.1', '>= 1.21 <1.22')).toBe(true);
+    expect(satisfiesFabricPredicate('1.22', '>= 1.21 <1.22')).toBe(false);
+  });
+
+  it('matches tilde, caret and x ranges', () => {
+    expect(satisfiesFabricPredicate('1.2.9', '~1.2.3')).toBe(true);
+    expect(satisfiesFabricPredicate('1.3.0', '~1.2.3')).toBe(false);
+    expect(satisfiesFabricPredicate('1.9.0', '^1.2')).toBe(true);
+    expect(satisfiesFabricPredicate('2.0.0', '^1.2')).toBe(false);
+    expect(satisfiesFabricPredicate('1.20.4', '1.20.x')).toBe(true);
+    expect(satisfiesFabricPredicate('1.21', '1.20.x')).toBe(false);
+  });
+
+  it('matches any alternative', () => {
+    expect(satisfiesFabricPredicate('1.19.2', '1.18.2 || 1.19.2')).toBe(true);
+    expect(satisfiesFabricPredicate('1.20', '1.18.2 || 1.19.2')).toBe(false);
+  });
+});
+
+describe('satisfiesRange', () => {
+  it('picks the syntax from the loader', () => {
+    expect(satisfiesRange('1.5', '[1.0,2.0)', 'neoforge')).toBe(true);
+    expect(satisfiesRange('1.5', '>=2.0', 'fabric')).toBe(false);
+  });
+
+  it('accepts unknown versions', () => {
+    expect(satisfiesRange(null, '[2.0,)', 'neoforge')).toBe(true);
+  });
+});
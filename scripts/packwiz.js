@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * packwiz import and export
+ * export: write a packwiz repository from metadata/pack.json
+ * import: read a packwiz repository back into metadata
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadPackMetadata } from './lib/builder.js';
+import { exportPackwiz, readPackwiz, metafileToMod, copyPackwizAssets } from './lib/packwiz.js';
+import { generateMetadata } from './lib/metadata.js';
+import { importInstanceAssets } from './lib/assets.js';
+import { applyJarMetadata, computeHashes } from './lib/mods.js';
+import { readJarMetadata } from './lib/jar.js';
+import { downloadWithCache } from './lib/downloader.js';
+import { getDownloadFilename, getModDownloadUrl, getModHash } from './lib/sources.js';
+
+const __dirname   = path.dirname(fileURLToPath(import.meta.url));
+const rootDir     = path.dirname(__dirname);
+const metadataDir = path.join(rootDir, 'metadata');
+const cacheDir    = path.join(rootDir, '.file-cache');
+const defaultDir  = path.join(rootDir, 'releases', 'packwiz');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('-'));
+  return {
+    command: positional[0],
+    dir: positional[1] ? path.resolve(positional[1]) : defaultDir,
+    force: args.includes('--force'),
+    download: !args.includes('--no-download')
+  };
+}
+
+/**
+ * Export metadata as a packwiz repository
+ */
+async function exportCommand(dir) {
+  const packData = await loadPackMetadata(metadataDir);
+  const { exported, skipped } = await exportPackwiz(packData, metadataDir, dir);
+
+  if (skipped.length > 0) {
+    console.log(`\n⚠️  ${skipped.length} mods have no download source and were not exported:`);
+    skipped.forEach(mod => console.log(`   ❌ ${mod.name || mod.filename}`));
+  }
+
+  console.log(`\n✨ packwiz export complete! (${exported}/${packData.mods.length} mods)`);
+  console.log(`   📍 Location: ${path.relative(process.cwd(), dir)}`);
+  console.log(`\n🎯 Next steps:`);
+  console.log(`   1. Commit the directory to a static git host`);
+  console.log(`   2. Point packwiz-installer at the raw URL of pack.toml`);
+}
+
+/**
+ * Download a mod through the cache and read metadata from its jar
+ */
+async function readModJar(mod) {
+  const { hash, hashType } = getModHash(mod);
+  const jarPath = await downloadWithCache(getModDownloadUrl(mod), hash, cacheDir, mod.filename, hashType);
+  const content = await fs.readFile(jarPath);
+  const hashes = computeHashes(content);
+
+  mod.size = content.length;
+  mod.sha512 = hashes.sha512;
+  mod.sha1 = hashes.sha1;
+
+  const jarMetadata = readJarMetadata(jarPath);
+  if (jarMetadata) {
+    mod.version = jarMetadata.version || mod.version;
+    mod.modid = jarMetadata.modid || mod.modid;
+    applyJarMetadata(mod, jarMetadata);
+  }
+}
+
+/**
+ * Import a packwiz repository into metadata
+ */
+async function importCommand(dir, { force, download }) {
+  if (await fs.pathExists(path.join(metadataDir, 'pack.json')) && !force) {
+    throw new Error('metadata/pack.json already exists. Use --force to replace it.');
+  }
+
+  const { packInfo, metafiles, assetFiles } = await readPackwiz(dir);
+
+  // Convert metafiles (downloads jars into the cache to read real metadata)
+  console.log('🔍 Importing mods from metafiles...');
+  if (!download) {
+    console.log('   ⚡ Skipping jar downloads (--no-download), mod ids and versions are left unknown');
+  }
+
+  const mods = [];
+  const optionalMods = [];
+  for (const { file, data } of metafiles) {
+    const mod = metafileToMod(data);
+
+    if (download && getModDownloadUrl(mod)) {
+      try {
+        await readModJar(mod);
+      } catch (error) {
+        console.warn(`⚠️  Failed to read ${file}: ${error.message}`);
+      }
+    }
+
+    // Disabled mods are optional in packwiz too, they keep their own flag instead
+    if (data.option?.optional && !mod.disabled) {
+      optionalMods.push(mod.modid || getDownloadFilename(mod));
+    }
+
+    mods.push(mod);
+  }
+
+  // Builds need sha1 and file size for every mod, packwiz metafiles only record one hash and no size
+  const incomplete = mods.filter(mod => !mod.sha1 || !mod.size);
+  if (incomplete.length > 0) {
+    if (!download) {
+      throw new Error(`${incomplete.length} mods have no sha1 or file size in their metafiles, import without --no-download to read them from the jars`);
+    }
+    incomplete.forEach(mod => console.log(`   ❌ ${mod.name || mod.filename}`));
+    throw new Error(`${incomplete.length} mods could not be downloaded to read their sha1 and file size, run the import again`);
+  }
+
+  // Copy listed files into metadata asset directories
+  const copiedAssets = await importInstanceAssets(metadataDir, tempDir => copyPackwizAssets(dir, assetFiles, tempDir));
+
+  // Generate metadata, keeping pack.json fields packwiz has no place for (overrideSides, disabledMods)
+  const packData = await generateMetadata(null, packInfo.loaderInfo, mods, {
+    name: packInfo.name,
+    description: packInfo.description,
+    version: packInfo.version,
+    author: packInfo.author,
+    optionalMods: optionalMods.length > 0 ? optionalMods : undefined,
+    instanceName: path.basename(dir)
+  });
+
+  console.log('\n📊 Summary:');
+  console.log(`   Pack: ${packData.name} ${packData.version}`);
+  console.log(`   Mods: ${mods.length}`);
+  console.log(`   Assets: ${copiedAssets.length} copied (${copiedAssets.join(', ')})`);
+  console.log(`   Game Version: ${packData.gameVersion}`);
+  console.log(`   Loader: ${packData.loaderType} ${packData.loaderVersion}`);
+  console.log('✅ packwiz import complete!');
+}
+
+/**
+ * Main packwiz function
+ */
+async function packwiz() {
+  const { command, dir, force, download } = parseArgs();
+
+  try {
+    if (command === 'export') {
+      await exportCommand(dir);
+    } else if (command === 'import') {
+      await importCommand(dir, { force, download });
+    } else {
+      throw new Error('Usage: npm run packwiz -- <export|import> [dir] [--force] [--no-download]');
+    }
+  } catch (error) {
+    console.error('❌ packwiz failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  packwiz();
+}
+
+export { packwiz };
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Download everything a build needs into the download cache
+ * Mods, the Minecraft server jar and the NeoForge installer with its libraries,
+ * so "npm run server -- --offline" works without network access afterwards
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { loadPackMetadata, categorizeMods } from './lib/builder.js';
+import { loadDownloadSources } from './lib/sources.js';
+import { prefetchMods } from './lib/downloader.js';
+import { cacheMinecraftServer, prefetchNeoForge, findMissingServerArtifacts } from './lib/server-setup.js';
+
+// Load environment variables
+dotenv.config();
+
+const __dirname   = path.dirname(fileURLToPath(import.meta.url));
+const rootDir     = path.dirname(__dirname);
+const metadataDir = path.join(rootDir, 'metadata');
+const cacheDir    = path.join(rootDir, '.file-cache');
+
+/**
+ * Main prefetch function
+ */
+async function prefetch() {
+  console.log('📡 Prefetching build artifacts...\n');
+
+  try {
+    const packData = await loadPackMetadata(metadataDir);
+    const sources = await loadDownloadSources(metadataDir);
+    const { modrinthMods, curseforgeMods, urlMods } = categorizeMods(packData.mods);
+
+    // Client jars are cached too, dependency validation reads them from the cache
+    const result = await prefetchMods([...modrinthMods, ...curseforgeMods, ...urlMods], cacheDir, sources);
+
+    console.log(`\n🎮 Caching Minecraft ${packData.gameVersion} server...`);
+    await cacheMinecraftServer(packData.gameVersion, cacheDir, { sources });
+
+    console.log('');
+    await prefetchNeoForge(packData.loaderVersion, cacheDir, { sources });
+
+    const missing = await findMissingServerArtifacts(packData.gameVersion, packData.loaderVersion, cacheDir);
+    if (result.failed > 0 || missing.length > 0) {
+      missing.forEach(artifact => console.log(`   ❌ ${artifact} is still missing`));
+      throw new Error(`${result.failed + missing.length} artifact(s) could not be cached`);
+    }
+
+    console.log(`\n✅ Cached ${result.success} mods, Minecraft ${packData.gameVersion} and NeoForge ${packData.loaderVersion}`);
+    console.log(`   Offline server builds: npm run server -- --offline`);
+
+  } catch (error) {
+    console.error('❌ Prefetch failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  prefetch();
+}
+
+export { prefetch };
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Publish the built .mrpack as a new version on the pack's Modrinth project
+ * Release notes list the mod changes since the previously published version
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { loadPackMetadata, loadPackageInfo, generateOutputFilename } from './lib/builder.js';
+import { diffPacks, renderChangelogEntry } from './lib/changelog.js';
+import { getLastReleaseTag, readPackAtRef } from './lib/release.js';
+import { readMrpack, validateModrinthIndex } from './lib/mrpack.js';
+import {
+  RELEASE_CHANNELS,
+  getModrinthApiUrl,
+  getProjectVersions,
+  createVersionData,
+  createVersion
+} from './lib/modrinth.js';
+
+// Load environment variables
+dotenv.config();
+
+const __dirname   = path.dirname(fileURLToPath(import.meta.url));
+const rootDir     = path.dirname(__dirname);
+const metadataDir = path.join(rootDir, 'metadata');
+const releasesDir = path.join(rootDir, 'releases');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  return {
+    channel: args.find(arg => RELEASE_CHANNELS.includes(arg)) || 'release',
+    dryRun: args.includes('--dry-run')
+  };
+}
+
+/**
+ * Load Modrinth settings from the environment
+ */
+function loadModrinthConfig(dryRun) {
+  const config = {
+    projectId: process.env.MODRINTH_PROJECT_ID,
+    token: process.env.MODRINTH_TOKEN
+  };
+
+  if (!config.projectId) {
+    throw new Error('MODRINTH_PROJECT_ID is not set');
+  }
+  if (!config.token && !dryRun) {
+    throw new Error('MODRINTH_TOKEN is not set (a personal access token with the "Create versions" scope)');
+  }
+
+  return config;
+}
+
+/**
+ * Find the pack.json of the previously published version
+ * Uses the tag of the newest Modrinth version, falling back to the release tag before this one
+ */
+function findPreviousPack(previousVersion, version) {
+  const lastTag = getLastReleaseTag(rootDir);
+  const tagBefore = lastTag === `v${version}` ? getLastReleaseTag(rootDir, `${lastTag}^`) : lastTag;
+  const refs = [previousVersion && `v${previousVersion.version_number}`, tagBefore].filter(Boolean);
+
+  for (const ref of refs) {
+    const pack = readPackAtRef(rootDir, ref);
+    if (pack) return { ref, pack };
+  }
+
+  return { ref: null, pack: null };
+}
+
+/**
+ * Refuse to upload a pack Modrinth would reject
+ * Public mirrors from sources.json are listed in the .mrpack downloads, and Modrinth only
+ * accepts downloads from its own CDN and a few code hosts
+ */
+async function checkUploadable(mrpackPath) {
+  const { index } = await readMrpack(mrpackPath);
+  const { warnings } = validateModrinthIndex(index);
+
+  if (warnings.length > 0) {
+    warnings.slice(0, 10).forEach(warning => console.log(`   ❌ ${warning}`));
+    throw new Error(`${warnings.length} downloads in ${path.basename(mrpackPath)} use hosts Modrinth doesn't accept. Remove "public" from those mirrors in sources.json and rebuild.`);
+  }
+
+  console.log('   ✓ Every download uses a host Modrinth accepts\n');
+}
+
+/**
+ * Main publish function
+ */
+async function publish() {
+  console.log('🚀 Publishing to Modrinth...\n');
+
+  const { channel, dryRun } = parseArgs();
+
+  try {
+    const { projectId, token } = loadModrinthConfig(dryRun);
+    const packData = await loadPackMetadata(metadataDir);
+    const packageInfo = await loadPackageInfo(rootDir);
+    const version = packageInfo.version;
+
+    const filename = generateOutputFilename(packageInfo.name, version);
+    const mrpackPath = path.join(releasesDir, filename);
+    if (!await fs.pathExists(mrpackPath)) {
+      throw new Error(`${path.relative(process.cwd(), mrpackPath)} not found. Run "npm run build" first.`);
+    }
+    await checkUploadable(mrpackPath);
+
+    console.log(`📡 Checking published versions (${getModrinthApiUrl()})...`);
+    const versions = await getProjectVersions(projectId, token);
+    if (versions.some(published => published.version_number === version)) {
+      throw new Error(`Version ${version} is already published on Modrinth. Bump the version with "npm run release" first.`);
+    }
+
+    const previousVersion = [...versions].sort((a, b) => String(b.date_published).localeCompare(String(a.date_published)))[0];
+    console.log(`   ✓ ${versions.length} published, latest ${previousVersion ? previousVersion.version_number : 'none'}`);
+
+    // Release notes from the mod differences since the previous version
+    const { ref, pack: previousPack } = findPreviousPack(previousVersion, version);
+    const diff = diffPacks(previousPack, packData);
+    const changelog = renderChangelogEntry({ date: new Date().toISOString(), packVersion: `v${version}`, changes: diff });
+
+    console.log(`\n📊 Changes since ${ref || 'the first version'}:`);
+    console.log(`   ➕ Added: ${diff.added.length}`);
+    console.log(`   ➖ Removed: ${diff.removed.length}`);
+    console.log(`   🔄 Updated: ${diff.updated.length}`);
+    console.log(`   ↔️  Side changes: ${diff.sideChanged.length}`);
+
+    const versionData = createVersionData({ projectId, packData, version, channel, changelog, filename });
+
+    console.log(`\n📦 ${filename}`);
+    console.log(`   🏷️  ${versionData.name} (${channel})`);
+    console.log(`   🎮 Minecraft ${versionData.game_versions.join(', ')}, ${versionData.loaders.join(', ')}`);
+
+    if (dryRun) {
+      console.log('\n📝 Release notes (dry run, nothing uploaded):\n');
+      console.log(changelog);
+      return;
+    }
+
+    console.log('\n⬆️  Uploading...');
+    const created = await createVersion(versionData, mrpackPath, token);
+
+    console.log(`\n✨ Published ${versionData.name} to Modrinth!`);
+    console.log(`   🔗 https://modrinth.com/modpack/${projectId}/version/${created.id}`);
+
+  } catch (error) {
+    console.error('❌ Publish failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  publish();
+}
+
+export { publish };
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Cut a release: bump the version in package.json and pack.json, build the client and
+ * server artifacts, write release notes, then commit and tag vX.Y.Z
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { loadPackMetadata, loadPackageInfo } from './lib/builder.js';
+import { diffPacks, renderChangelogEntry } from './lib/changelog.js';
+import {
+  BUMP_LEVELS,
+  git,
+  compareSemver,
+  bumpVersion,
+  suggestBump,
+  getDirtyFiles,
+  getLastReleaseTag,
+  readPackAtRef,
+  findInstanceDifferences
+} from './lib/release.js';
+import { build } from './build.js';
+import { buildServer } from './server.js';
+
+// Load environment variables
+dotenv.config();
+
+const __dirname   = path.dirname(fileURLToPath(import.meta.url));
+const rootDir     = path.dirname(__dirname);
+const metadataDir = path.join(rootDir, 'metadata');
+const releasesDir = path.join(rootDir, 'releases');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  return {
+    level: args.find(arg => BUMP_LEVELS.includes(arg)),
+    dryRun: args.includes('--dry-run'),
+    skipServer: args.includes('--skip-server'),
+    checkInstance: !args.includes('--no-instance-check')
+  };
+}
+
+/**
+ * Refuse to release from a dirty tree or a pack.json that doesn't match the instance
+ */
+async function checkReleaseState(packData, checkInstance) {
+  console.log('🔍 Checking release state...');
+
+  const dirtyFiles = getDirtyFiles(rootDir);
+  if (dirtyFiles.length > 0) {
+    dirtyFiles.slice(0, 10).forEach(line => console.log(`   ❌ ${line}`));
+    throw new Error('Working tree has uncommitted changes. Commit or stash them first.');
+  }
+  console.log('   ✓ Working tree clean');
+
+  if (!checkInstance) {
+    console.log('   ⏭️  Skipping instance check (--no-instance-check)');
+    return;
+  }
+
+  const instancePath = process.env.MINECRAFT_INSTANCE_PATH;
+  if (!instancePath) {
+    throw new Error('MINECRAFT_INSTANCE_PATH is not set, cannot check pack.json is current. Use --no-instance-check to skip.');
+  }
+
+  const differences = await findInstanceDifferences(instancePath, packData);
+  if (differences.length > 0) {
+    differences.slice(0, 10).forEach(difference => console.log(`   ❌ ${difference}`));
+    throw new Error('pack.json is stale compared to the instance. Run "npm run sync" and commit first.');
+  }
+  console.log('   ✓ pack.json matches the instance');
+}
+
+const versionFiles = [path.join(rootDir, 'package.json'), path.join(metadataDir, 'pack.json')];
+
+/**
+ * Write the version into package.json and pack.json
+ * Returns the original file contents so a failed release can put them back
+ */
+async function writeVersion(version) {
+  const originals = new Map();
+
+  for (const filePath of versionFiles) {
+    originals.set(filePath, await fs.readFile(filePath, 'utf8'));
+    const data = await fs.readJSON(filePath);
+    data.version = version;
+    await fs.writeJSON(filePath, data, { spaces: 2 });
+  }
+
+  return originals;
+}
+
+/**
+ * Put back package.json and pack.json as they were before writeVersion
+ */
+async function restoreVersion(originals) {
+  for (const [filePath, content] of originals) {
+    await fs.writeFile(filePath, content);
+  }
+}
+
+/**
+ * Main release function
+ */
+async function release() {
+  console.log('🏷️  Preparing release...\n');
+
+  const { level, dryRun, skipServer, checkInstance } = parseArgs();
+
+  try {
+    const packData = await loadPackMetadata(metadataDir);
+    const packageInfo = await loadPackageInfo(rootDir);
+
+    await checkReleaseState(packData, checkInstance);
+
+    // Use the higher of the two versions if they disagree
+    let currentVersion = packageInfo.version;
+    if (packData.version !== packageInfo.version) {
+      currentVersion = compareSemver(packData.version, packageInfo.version) > 0 ? packData.version : packageInfo.version;
+      console.log(`   ⚠️  package.json (${packageInfo.version}) and pack.json (${packData.version}) disagree, bumping from ${currentVersion}`);
+    }
+
+    // Diff against the last release
+    const lastTag = getLastReleaseTag(rootDir);
+    const previousPack = lastTag ? readPackAtRef(rootDir, lastTag) : null;
+    const diff = diffPacks(previousPack, packData);
+    const suggestedLevel = suggestBump(diff, previousPack, packData);
+    const bumpLevel = level || suggestedLevel;
+    const version = bumpVersion(currentVersion, bumpLevel);
+
+    console.log(`\n📊 Changes since ${lastTag || 'the first commit'}:`);
+    console.log(`   ➕ Added: ${diff.added.length}`);
+    console.log(`   ➖ Removed: ${diff.removed.length}`);
+    console.log(`   🔄 Updated: ${diff.updated.length}`);
+    console.log(`   ↔️  Side changes: ${diff.sideChanged.length}`);
+    console.log(`   💡 Suggested bump: ${suggestedLevel}${level && level !== suggestedLevel ? ` (using ${level})` : ''}`);
+    console.log(`\n🏷️  Releasing ${currentVersion} → ${version}`);
+
+    const notes = renderChangelogEntry({ date: new Date().toISOString(), packVersion: `v${version}`, changes: diff });
+
+    if (dryRun) {
+      console.log('\n📝 Release notes (dry run, nothing written):\n');
+      console.log(notes);
+      return;
+    }
+
+    const originals = await writeVersion(version);
+    console.log('   ✓ Updated package.json and pack.json');
+
+    let notesPath;
+    try {
+      // Build artifacts with the new version
+      console.log('');
+      await build();
+      if (!skipServer) {
+        console.log('');
+        const serverResult = await buildServer();
+        if (serverResult.failed > 0) {
+          throw new Error(`${serverResult.failed} server mods failed to download`);
+        }
+      }
+
+      // Write release notes next to the artifacts
+      notesPath = path.join(releasesDir, `${packageInfo.name}-v${version}-notes.md`);
+      await fs.outputFile(notesPath, notes);
+
+      // Commit the version bump
+      git(rootDir, ['add', 'package.json', 'metadata/pack.json']);
+      git(rootDir, ['commit', '-m', `Release v${version}`]);
+    } catch (error) {
+      git(rootDir, ['reset', '--quiet', '--', 'package.json', 'metadata/pack.json']);
+      await restoreVersion(originals);
+      console.log('\n↩️  Restored the previous versions in package.json and pack.json');
+      throw error;
+    }
+
+    // Tag the release commit
+    git(rootDir, ['tag', '-a', `v${version}`, '--cleanup=verbatim', '-F', notesPath]);
+
+    console.log(`\n✨ Release v${version} ready!`);
+    console.log(`   📝 Notes: ${path.relative(process.cwd(), notesPath)}`);
+    console.log(`   🏷️  Tag: v${version}`);
+    console.log(`\n🎯 Next steps:`);
+    console.log(`   1. Push the commit and tag: git push --follow-tags`);
+    console.log(`   2. Upload the artifacts in releases/ with the notes`);
+
+  } catch (error) {
+    console.error('❌ Release failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  release();
+}
+
+export { release };
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Materialize a PrismLauncher instance from metadata (reverse of sync)
+ * Creates mmc-pack.json, mods with .index files and instance assets
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { loadPackMetadata } from './lib/builder.js';
+import { writeInstanceConfig } from './lib/instance.js';
+import { writeIndexFile } from './lib/mods.js';
+import { restoreInstanceAssets } from './lib/assets.js';
+import { downloadWithCache } from './lib/downloader.js';
+import { getModDownloadUrl, getModDownloadUrls, getModHash, loadDownloadSources } from './lib/sources.js';
+
+// Load environment variables
+dotenv.config();
+
+const __dirname   = path.dirname(fileURLToPath(import.meta.url));
+const rootDir     = path.dirname(__dirname);
+const metadataDir = path.join(rootDir, 'metadata');
+const cacheDir    = path.join(rootDir, '.file-cache');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  return {
+    instancePath: args.find(arg => !arg.startsWith('-')) || process.env.MINECRAFT_INSTANCE_PATH,
+    force: args.includes('--force')
+  };
+}
+
+/**
+ * Download mods into the instance and write their index files
+ * Jars come from the sources in sources.json, the index files point at the origin
+ */
+async function restoreMods(mods, instancePath, packData, sources) {
+  console.log(`🔽 Restoring ${mods.length} mods...`);
+
+  const modsPath = path.join(instancePath, 'minecraft/mods');
+  const indexPath = path.join(modsPath, '.index');
+  await fs.ensureDir(indexPath);
+
+  const errors = [];
+  const skipped = [];
+
+  for (const mod of mods) {
+    const downloadUrl = getModDownloadUrl(mod);
+
+    if (!downloadUrl) {
+      skipped.push(mod);
+      continue;
+    }
+
+    try {
+      const { hash, hashType } = getModHash(mod);
+      const cachedFile = await downloadWithCache(getModDownloadUrls(mod, sources), hash, cacheDir, mod.filename, hashType);
+
+      // Copy to instance (preserve disabled state)
+      await fs.copy(cachedFile, path.join(modsPath, mod.filename));
+      writeIndexFile(mod, indexPath, packData, downloadUrl);
+    } catch (error) {
+      console.error(`   ❌ Failed: ${mod.filename} - ${error.message}`);
+      errors.push({ mod: mod.filename, error: error.message });
+    }
+  }
+
+  return { restored: mods.length - errors.length - skipped.length, errors, skipped };
+}
+
+/**
+ * Main restore function
+ */
+async function restore() {
+  console.log('♻️  Restoring PrismLauncher instance from metadata...');
+
+  const { instancePath, force } = parseArgs();
+
+  try {
+    if (!instancePath) {
+      throw new Error('No instance path given. Pass one as an argument or set MINECRAFT_INSTANCE_PATH.');
+    }
+
+    console.log(`📂 Instance path: ${instancePath}`);
+
+    if (await fs.pathExists(instancePath) && !force) {
+      throw new Error('Instance path already exists. Use --force to restore into it.');
+    }
+
+    const packData = await loadPackMetadata(metadataDir);
+
+    // Write instance configuration
+    writeInstanceConfig(instancePath, packData);
+
+    // Download mods and write index files
+    const result = await restoreMods(packData.mods, instancePath, packData, await loadDownloadSources(metadataDir));
+
+    // Copy instance assets
+    const restoredAssets = await restoreInstanceAssets(metadataDir, instancePath);
+
+    // Show summary
+    console.log('\n📊 Summary:');
+    console.log(`   Instance: ${path.basename(instancePath)}`);
+    console.log(`   Mods: ${result.restored}/${packData.mods.length} restored`);
+    console.log(`   Assets: ${restoredAssets.length} restored (${restoredAssets.join(', ')})`);
+    console.log(`   Game Version: ${packData.gameVersion}`);
+    console.log(`   Loader: ${packData.loaderType} ${packData.loaderVersion}`);
+
+    if (result.skipped.length > 0) {
+      console.log(`\n⚠️  ${result.skipped.length} mods have no download source and must be added by hand:`);
+      result.skipped.forEach(mod => console.log(`   - ${mod.name || mod.filename}`));
+    }
+
+    if (result.errors.length > 0) {
+      console.log(`\n⚠️  Failed to download ${result.errors.length} mods:`);
+      result.errors.forEach(({ mod, error }) => console.log(`   ❌ ${mod}: ${error}`));
+      throw new Error(`${result.errors.length} mods failed to download, the instance is incomplete. Run again with --force to retry.`);
+    }
+
+    console.log('✅ Restore complete!');
+    console.log(`\n🎯 Next steps:`);
+    console.log(`   1. Make sure the instance lives in your PrismLauncher instances folder`);
+    console.log(`   2. Set MINECRAFT_INSTANCE_PATH in .env to the instance path`);
+    console.log(`   3. Launch once from PrismLauncher, then use "npm run sync" as usual`);
+
+  } catch (error) {
+    console.error('❌ Restore failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  restore();
+}
+
+export { restore };
@@ -3,15 +3,25 @@
 import fs                                                         from 'fs-extra';
 import path                                                       from 'path';
 import { fileURLToPath }                                          from 'url';
-import { loadPackMetadata, loadPackageInfo } from './lib/builder.js';
-import { filterServerMods, copyServerAssets, downloadServerMods } from './lib/downloader.js';
+import dotenv                                                     from 'dotenv';
+import { loadPackMetadata, loadPackageInfo, categorizeMods, getNonDownloadableReason } from './lib/builder.js';
+import { filterServerMods, copyServerAssets, downloadServerMods, findUncachedMods } from './lib/downloader.js';
 import {
   downloadMinecraftServer,
   downloadAndInstallNeoForge,
+  findMissingServerArtifacts,
+  hasNeoForgeInstall,
   createLaunchScripts,
   createServerProperties,
   acceptEula
 } from './lib/server-setup.js';
+import { getOverrideSides }                                     from './lib/overrides.js';
+import { loadSecretRules, scrubSecrets, injectSecrets }           from './lib/secrets.js';
+import { loadBundlePolicy, resolveBundledMods, copyBundledMods } from './lib/bundle.js';
+import { loadDownloadSources }                                  from './lib/sources.js';
+import { writeSbom }                                            from './lib/sbom.js';
+import { createServerSizeReport, writeSizeReport, getSizeReportPath } from './lib/size.js';
+import { validate }                                             from './validate.js';
 
 const __dirname   = path.dirname(fileURLToPath(import.meta.url));
 const rootDir     = path.dirname(__dirname);
@@ -19,106 +29,195 @@ const metadataDir = path.join(rootDir, 'metadata');
 const releasesDir = path.join(rootDir, 'releases');
 const cacheDir    = path.join(rootDir, '.file-cache');
 
+// Load environment variables
+dotenv.config();
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  return {
+    offline: args.includes('--offline'),
+    reinstall: args.includes('--reinstall'),
+    allowUnverified: args.includes('--allow-unverified')
+  };
+}
+
+/**
+ * Report every artifact an offline build needs that is not in the cache
+ * Throws before anything is built so a partial server is never left behind
+ */
+async function checkOfflineArtifacts(packData, serverMods, reuseInstall) {
+  console.log('📴 Offline build, checking the cache...');
+
+  const missing = [
+    ...(await findUncachedMods(serverMods, cacheDir)).map(mod => `${mod.name || mod.filename} (${mod.filename})`),
+    ...reuseInstall ? [] : await findMissingServerArtifacts(packData.gameVersion, packData.loaderVersion, cacheDir)
+  ];
+
+  if (missing.length > 0) {
+    missing.forEach(artifact => console.log(`   ❌ ${artifact}`));
+    throw new Error(`${missing.length} artifact(s) missing from the cache, run "npm run prefetch" while online`);
+  }
+
+  console.log(`   ✅ All ${serverMods.length} mods${reuseInstall ? '' : ', the Minecraft server and NeoForge'} are cached\n`);
+}
+
 /**
  * Build server pack by downloading mods and copying assets
+ * options.offline builds from the download cache without network access,
+ * options.reinstall installs NeoForge even when the previous build's install can be reused,
+ * options.allowUnverified skips mods whose dependencies can't be checked
+ * Returns the mod download result ({ success, failed, errors })
  */
-async function buildServer () {
+async function buildServer ({ offline = false, reinstall = false, allowUnverified = false } = {}) {
   console.log('🖥️ Starting server pack build...\n');
 
-  try {
-    // Load metadata and package info
-    const packData    = await loadPackMetadata(metadataDir);
-    const packageInfo = await loadPackageInfo(rootDir);
-
-    // Create server directory
-    const serverDir     = path.join(releasesDir, 'server');
-    const serverModsDir = path.join(serverDir, 'mods');
-
-    console.log(`📁 Setting up server directory: ${path.relative(process.cwd(), serverDir)}`);
-    await fs.ensureDir(serverDir);
-    await fs.ensureDir(serverModsDir);
-
-    // Filter mods for server compatibility
-    const allMods        = packData.mods.filter(mod => mod.modrinth && mod.modrinth.modId && mod.modrinth.version);
-    const serverMods     = filterServerMods(allMods);
-    const clientOnlyMods = allMods.filter(mod => mod.side === 'client');
-
-    console.log(`📊 Mod filtering for server:`);
-    console.log(`   ✅ Server compatible: ${serverMods.length}`);
-    console.log(`   ❌ Client-only (skipped): ${clientOnlyMods.length}`);
-
-    if (clientOnlyMods.length > 0) {
-      console.log(`\n📋 Skipping client-only mods:`);
-      clientOnlyMods.forEach(mod => {
-        console.log(`   • ${mod.name || mod.filename}`);
-      });
-    }
+  // Validate dependency graph before downloading anything
+  await validate(['server'], { allowUnverified });
+
+  // Load metadata and package info
+  const packData    = await loadPackMetadata(metadataDir);
+  const packageInfo = await loadPackageInfo(rootDir);
+  const sources     = await loadDownloadSources(metadataDir);
+
+  // Filter mods for server compatibility
+  const { modrinthMods, curseforgeMods, urlMods, nonDownloadableMods } = categorizeMods(packData.mods);
+  const allMods        = [...modrinthMods, ...curseforgeMods, ...urlMods];
+  const serverMods     = filterServerMods(allMods);
+  const clientOnlyMods = allMods.filter(mod => mod.side === 'client');
+
+  const serverDir     = path.join(releasesDir, 'server');
+  const serverModsDir = path.join(serverDir, 'mods');
+
+  // Keep libraries/ from the previous build when Minecraft and NeoForge haven't changed
+  const reuseInstall = !reinstall && await hasNeoForgeInstall(serverDir, packData.gameVersion, packData.loaderVersion);
+
+  if (offline) {
+    await checkOfflineArtifacts(packData, serverMods, reuseInstall);
+  }
+
+  console.log(`📁 Setting up server directory: ${path.relative(process.cwd(), serverDir)}`);
+  await fs.ensureDir(serverDir);
+  // Start mods/ empty so jars of removed or updated mods don't linger between builds
+  await fs.emptyDir(serverModsDir);
+
+  console.log(`📊 Mod filtering for server:`);
+  console.log(`   ✅ Server compatible: ${serverMods.length}`);
+  console.log(`   ❌ Client-only (skipped): ${clientOnlyMods.length}`);
+
+  if (clientOnlyMods.length > 0) {
+    console.log(`\n📋 Skipping client-only mods:`);
+    clientOnlyMods.forEach(mod => {
+      console.log(`   • ${mod.name || mod.filename}`);
+    });
+  }
 
-    console.log('');
+  console.log('');
 
-    // Copy server assets
-    await copyServerAssets(metadataDir, serverDir);
+  // Copy server assets
+  await copyServerAssets(metadataDir, serverDir, getOverrideSides(packData));
 
-    console.log('');
+  // Fill in secrets from environment variables
+  const secretRules = await loadSecretRules(metadataDir);
+  await scrubSecrets(serverDir, secretRules);
+  const missingSecrets = await injectSecrets(serverDir, secretRules);
+  missingSecrets.forEach(rule => console.log(`   ⚠️  ${rule.env} is not set, ${rule.key} in ${rule.files} keeps its placeholder`));
 
-    // Download server mods
-    const result = await downloadServerMods(serverMods, cacheDir, serverModsDir);
+  console.log('');
 
-    console.log('');
+  // Download server mods
+  const result = await downloadServerMods(serverMods, cacheDir, serverModsDir, sources);
+
+  // Bundle allowlisted jars for mods without a download source
+  const { bundled, excluded } = await resolveBundledMods(
+    filterServerMods(nonDownloadableMods).map(mod => ({ mod, reason: getNonDownloadableReason(mod) })),
+    await loadBundlePolicy(metadataDir),
+    { cacheDir, instancePath: process.env.MINECRAFT_INSTANCE_PATH }
+  );
+
+  if (bundled.length > 0) {
+    console.log(`\n📦 Bundling ${bundled.length} allowlisted mods...`);
+    await copyBundledMods(bundled, serverModsDir);
+  }
+
+  if (excluded.length > 0) {
+    console.log(`\n⚠️  ${excluded.length} server mods have no download source and were left out:`);
+    excluded.forEach(({ mod, reason }) => console.log(`   ❌ ${mod.name || mod.filename} (${reason})`));
+  }
 
+  console.log('');
+
+  if (reuseInstall) {
+    console.log(`♻️  Minecraft ${packData.gameVersion} and NeoForge ${packData.loaderVersion} are already installed, reusing libraries/ (--reinstall to install again)`);
+  } else {
     // Download Minecraft server
-    await downloadMinecraftServer(packData.gameVersion, serverDir, cacheDir);
+    await downloadMinecraftServer(packData.gameVersion, serverDir, cacheDir, { offline, sources });
 
     // Download and install NeoForge
-    await downloadAndInstallNeoForge(packData.gameVersion, packData.loaderVersion, serverDir, cacheDir);
-
-    // Create server configuration
-    await createLaunchScripts(serverDir, packData.gameVersion, packData.loaderVersion);
-    await createServerProperties(serverDir, packData.name);
-    await acceptEula(serverDir);
-
-    // Create server info file
-    const serverInfo = {
-      name:          packData.name,
-      version:       packageInfo.version,
-      gameVersion:   packData.gameVersion,
-      loaderType:    packData.loaderType,
-      loaderVersion: packData.loaderVersion,
-      generatedAt:   new Date().toISOString(),
-      mods:          {
-        total:      serverMods.length,
-        successful: result.success,
-        failed:     result.failed
-      }
-    };
-
-    await fs.writeJSON(path.join(serverDir, 'server-info.json'), serverInfo, { spaces: 2 });
-
-    console.log(`\n✨ Server pack build complete!`);
-    console.log(`   📍 Location: ${path.relative(process.cwd(), serverDir)}`);
-    console.log(`   🎮 Game: Minecraft ${packData.gameVersion}`);
-    console.log(`   ⚙️ Loader: ${packData.loaderType} ${packData.loaderVersion}`);
-    console.log(`   📦 Mods: ${result.success}/${serverMods.length} successful`);
-
-    if (result.failed > 0) {
-      console.log(`\n⚠️  ${result.failed} mods failed to download. Check errors above.`);
+    await downloadAndInstallNeoForge(packData.gameVersion, packData.loaderVersion, serverDir, cacheDir, { offline, sources });
+  }
+
+  // Create server configuration
+  await createLaunchScripts(serverDir, packData.gameVersion, packData.loaderVersion);
+  await createServerProperties(serverDir, packData.name);
+  await acceptEula(serverDir);
+
+  // Create server info file
+  const serverInfo = {
+    name:          packData.name,
+    version:       packageInfo.version,
+    gameVersion:   packData.gameVersion,
+    loaderType:    packData.loaderType,
+    loaderVersion: packData.loaderVersion,
+    generatedAt:   new Date().toISOString(),
+    mods:          {
+      total:      serverMods.length,
+      successful: result.success,
+      failed:     result.failed
     }
+  };
+
+  await fs.writeJSON(path.join(serverDir, 'server-info.json'), serverInfo, { spaces: 2 });
+
+  // Write an SBOM for the mods that actually ended up in the server
+  const failedFilenames = new Set(result.errors.map(({ mod }) => mod));
+  const serverName      = `${packageInfo.name}-v${packageInfo.version}-server`;
+  await writeSbom(path.join(releasesDir, `${serverName}.cdx.json`), [
+    ...serverMods.filter(mod => !failedFilenames.has(mod.filename)).map(mod => ({ mod, bundled: false })),
+    ...bundled.map(({ mod, license }) => ({ mod: { ...mod, license: mod.license || license }, bundled: true }))
+  ], serverInfo, { name: serverName });
+
+  // Record the size of the server directory
+  const sizeReport = await createServerSizeReport(serverDir, serverName, packData.mods);
+  await writeSizeReport(getSizeReportPath(path.join(releasesDir, serverName)), sizeReport);
+
+  console.log(`\n✨ Server pack build complete!`);
+  console.log(`   📍 Location: ${path.relative(process.cwd(), serverDir)}`);
+  console.log(`   🎮 Game: Minecraft ${packData.gameVersion}`);
+  console.log(`   ⚙️ Loader: ${packData.loaderType} ${packData.loaderVersion}`);
+  console.log(`   📦 Mods: ${result.success}/${serverMods.length} successful`);
+
+  if (result.failed > 0) {
+    console.log(`\n⚠️  ${result.failed} mods failed to download. Check errors above.`);
+  }
 
-    console.log(`\n🎯 Next steps:`);
-    console.log(`   1. Copy the server directory to your Minecraft server location`);
-    console.log(`   2. Start server with: ./start-server.sh (Linux/Mac) or start-server.bat (Windows)`);
-    console.log(`   3. Configure server.properties as needed`);
-    console.log(`   4. Enjoy your modded server!`);
+  console.log(`\n🎯 Next steps:`);
+  console.log(`   1. Copy the server directory to your Minecraft server location`);
+  console.log(`   2. Start server with: ./start-server.sh (Linux/Mac) or start-server.bat (Windows)`);
+  console.log(`   3. Configure server.properties as needed`);
+  console.log(`   4. Enjoy your modded server!`);
 
-  } catch (error) {
-    console.error('❌ Server build failed:', error.message);
-    process.exit(1);
-  }
+  return result;
 }
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  buildServer();
+  buildServer(parseArgs()).catch(error => {
+    console.error('❌ Server build failed:', error.message);
+    process.exit(1);
+  });
 }
 
 export { buildServer };
@@ -10,7 +10,9 @@ import dotenv from 'dotenv';
 import { readInstanceConfig, validateLoader } from './lib/instance.js';
 import { scanModsAndIndex } from './lib/mods.js';
 import { generateMetadata } from './lib/metadata.js';
-import { copyInstanceAssets, cleanAssetDirectories } from './lib/assets.js';
+import { copyInstanceAssets } from './lib/assets.js';
+import { fetchCurseForgeDistribution } from './lib/sources.js';
+import { diffPacks, hasChanges, writeChangelog } from './lib/changelog.js';
 
 // Load environment variables
 dotenv.config();
@@ -41,7 +43,7 @@ async function main() {
     const loaderInfo = validateLoader(instanceConfig);
 
     // Scan mods and index files
-    const { mods, missingIndexFiles } = await scanModsAndIndex(instancePath);
+    const { mods, missingIndexFiles, hashMismatches } = await scanModsAndIndex(instancePath);
 
     // Error if missing index files
     if (missingIndexFiles.length > 0) {
@@ -53,15 +55,39 @@ async function main() {
       process.exit(1);
     }
 
-    // Clean old asset copies
-    cleanAssetDirectories('metadata');
+    // Error if jars don't match the files PrismLauncher downloaded
+    if (hashMismatches.length > 0) {
+      console.error('❌ Jar hashes do not match their .index/*.toml files:');
+      hashMismatches.forEach(mismatch => console.error(`   - ${mismatch}`));
+      console.error('');
+      console.error('   These jars differ from the file the launcher downloaded, so players would get');
+      console.error('   a different file. Reinstall the mods through PrismLauncher.');
+      process.exit(1);
+    }
+
+    // Record CurseForge distribution permissions (needs CURSEFORGE_API_KEY)
+    await fetchCurseForgeDistribution(mods);
 
-    // Copy instance assets
+    // Copy instance assets (mirrors tracked files, see metadata/sync.json)
     const copiedAssets = await copyInstanceAssets(instancePath, 'metadata');
 
+    // Keep the previous pack.json to diff against
+    const previousPackData = fs.existsSync('metadata/pack.json')
+      ? JSON.parse(fs.readFileSync('metadata/pack.json', 'utf8'))
+      : null;
+
     // Generate metadata
     const packData = await generateMetadata(instanceConfig, loaderInfo, mods);
 
+    // Record what changed since the last sync
+    const diff = diffPacks(previousPackData, packData);
+    if (previousPackData && hasChanges(diff)) {
+      writeChangelog('.', 'metadata', packData, diff);
+      console.log(`📜 Changelog: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.updated.length} updated, ${diff.sideChanged.length} side changes`);
+    } else if (previousPackData) {
+      console.log('📜 No mod changes since the last sync');
+    }
+
     // Show summary
     console.log('\n📊 Summary:');
     console.log(`   Instance: ${packData.instanceName}`);
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Validate the mod dependency graph from metadata/pack.json
+ * Fails on missing or mismatched dependencies, duplicate mod ids and incompatible mods
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { loadPackMetadata } from './lib/builder.js';
+import { loadModDeclarations, buildDependencyGraph, validateDependencyGraph } from './lib/validator.js';
+
+// Load environment variables
+dotenv.config();
+
+const __dirname   = path.dirname(fileURLToPath(import.meta.url));
+const rootDir     = path.dirname(__dirname);
+const metadataDir = path.join(rootDir, 'metadata');
+const cacheDir    = path.join(rootDir, '.file-cache');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  return {
+    allowUnverified: args.includes('--allow-unverified')
+  };
+}
+
+/**
+ * Validate the pack for the given environments
+ * Throws if any dependency errors are found, or if a mod's dependencies can't be checked
+ * because its jar isn't available locally unless options.allowUnverified is set
+ */
+async function validate(environments = ['client', 'server'], { allowUnverified = false } = {}) {
+  console.log('🧩 Validating mod dependencies...');
+
+  const packData = await loadPackMetadata(metadataDir);
+  const declarations = await loadModDeclarations(packData.mods, {
+    cacheDir,
+    instancePath: process.env.MINECRAFT_INSTANCE_PATH
+  });
+
+  const errors = [];
+  const warnings = [];
+  const unverified = new Set();
+
+  for (const environment of environments) {
+    const graph = buildDependencyGraph(declarations, packData, environment);
+    const result = validateDependencyGraph(graph);
+
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+    result.unverified.forEach(filename => unverified.add(filename));
+  }
+
+  if (unverified.size > 0) {
+    console.log(`   ${allowUnverified ? '⚠️ ' : '❌'} ${unverified.size} mods have no dependency data (jar not found locally, run "npm run prefetch" or "npm run sync")`);
+    [...unverified].slice(0, 10).forEach(filename => console.log(`      • ${filename}`));
+    if (unverified.size > 10) {
+      console.log(`      … and ${unverified.size - 10} more`);
+    }
+  }
+
+  for (const warning of warnings) {
+    console.log(`   ⚠️  ${warning}`);
+  }
+
+  for (const error of errors) {
+    console.log(`   ❌ ${error}`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Dependency validation found ${errors.length} problem(s)`);
+  }
+
+  if (unverified.size > 0 && !allowUnverified) {
+    throw new Error(`${unverified.size} mods could not be checked. Pass --allow-unverified to skip them.`);
+  }
+
+  console.log(`   ✅ Dependency graph valid (${environments.join(', ')})\n`);
+
+  return { errors, warnings, unverified: [...unverified] };
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  validate(undefined, parseArgs()).catch(error => {
+    console.error('❌ Validation failed:', error.message);
+    process.exit(1);
+  });
+}
+
+export { validate };